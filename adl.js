@@ -0,0 +1,119 @@
+import { CID } from 'multiformats/cid'
+
+import { SUBSTRATE, ADD_LENS, SET, DELETE } from './symbols.js'
+
+// Build an ADL out of declarative hooks
+// All hooks are optional and may be async
+// Values from a sync `get` are returned as they are, so views can have plain properties and methods
+// - `reify(node, context)` turns the substrate node into the state the other hooks use
+// - `toSubstrate(state, context)` turns the state back into a node that can be saved
+// - `get(state, key, context)` reads a value, defaults to `state[key]`
+// - `set(state, key, value, { replace }, context)` returns a new state with the value set
+// - `delete(state, key, context)` returns a new state without the key
+// - `keys(state, context)` returns an (async) iterable of keys for iteration
+// - `entries(state, context)` returns an (async) iterable of `[key, value]`, defaults to using `keys`
+// - `propagate` applies the same ADL to nodes behind links that `get` returns
+// The `context` is `{ parameters, system }` from where the ADL got applied
+export function createADL ({
+  reify = (node) => node,
+  toSubstrate = (state) => state,
+  get = (state, key) => state[key],
+  set = null,
+  delete: remove = null,
+  keys = null,
+  entries = null,
+  propagate = false
+} = {}) {
+  const hooks = { toSubstrate, get, set, remove, keys, entries, propagate }
+
+  async function adl (node, parameters, system) {
+    const context = { parameters, system }
+    const state = await reify(node, context)
+    return makeView(state, hooks, adl, context)
+  }
+
+  return adl
+}
+
+// Apply a transform to a node once it's loaded from behind the link
+// Returns a copy so that the link within the original node stays untouched
+export function lens (cid, transform) {
+  const asCID = CID.asCID(cid)
+  const lensed = CID.create(asCID.version, asCID.code, asCID.multihash)
+  lensed[ADD_LENS] = transform
+  return lensed
+}
+
+// Promises probe for `then` and `CID.asCID()` probes for `/` and `asCID`
+// These never reach the `get` hook so that views don't get mistaken for promises or links
+// `bytes` only gets probed once `/` is set, so it stays usable as a key
+const PROBES = new Set(['then', '/', 'asCID'])
+
+export function isProbe (property) {
+  return PROBES.has(property)
+}
+
+// Views get tracked so that they can be told apart from links without probing them
+const views = new WeakSet()
+
+export function isADLView (value) {
+  return views.has(value)
+}
+
+function makeView (state, hooks, adl, context) {
+  const { toSubstrate, get, set, remove, keys, entries, propagate } = hooks
+  const { parameters, system } = context
+
+  function getValue (key) {
+    const value = get(state, key, context)
+    if (value instanceof Promise) return value.then(propagateLens)
+    return propagateLens(value)
+  }
+
+  function propagateLens (value) {
+    const asCID = CID.asCID(value)
+    if (propagate && asCID && !asCID[ADD_LENS]) {
+      return lens(asCID, (node) => adl(node, parameters, system))
+    }
+    return value
+  }
+
+  const view = {
+    [SUBSTRATE]: async () => toSubstrate(state, context),
+    [SET]: async (key, value, options = {}) => {
+      if (!set) throw new Error(`Cannot set ${key}, ADL doesn't support setting values`)
+      const updated = await set(state, key, value, options, context)
+      return makeView(updated, hooks, adl, context)
+    },
+    [DELETE]: async (key) => {
+      if (!remove) throw new Error(`Cannot remove ${key}, ADL doesn't support removing values`)
+      const updated = await remove(state, key, context)
+      return makeView(updated, hooks, adl, context)
+    }
+  }
+
+  if (entries) {
+    view[Symbol.asyncIterator] = async function * () {
+      for await (const [key, value] of await entries(state, context)) {
+        yield [key, propagateLens(value)]
+      }
+    }
+  } else if (keys) {
+    view[Symbol.asyncIterator] = async function * () {
+      for await (const key of await keys(state, context)) {
+        yield [key, await getValue(key)]
+      }
+    }
+  }
+
+  const proxy = new Proxy(view, {
+    get (target, property) {
+      if (typeof property === 'symbol') return target[property]
+      if (isProbe(property)) return undefined
+      return getValue(property)
+    }
+  })
+
+  views.add(proxy)
+  return proxy
+}
@@ -0,0 +1,66 @@
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+
+import { DEFAULT_CODECS, DEFAULT_HASHERS, verifyBlock } from './codecs.js'
+
+// Stores raw block bytes in memory, keyed by CID
+export class MemoryBlockstore {
+  #blocks = new Map()
+
+  async get (cid) {
+    const key = cid.toString()
+    if (!this.#blocks.has(key)) throw new Error(`Block ${key} not found`)
+    return this.#blocks.get(key)
+  }
+
+  async put (cid, bytes) {
+    this.#blocks.set(cid.toString(), bytes)
+    return cid
+  }
+
+  async has (cid) {
+    return this.#blocks.has(cid.toString())
+  }
+}
+
+// Wrap any blockstore with `get(cid)` and `put(cid, bytes)` methods
+// Returns `getNode` and `saveNode` functions to pass to an IPLDURLSystem
+export function fromBlockstore (blockstore, {
+  codecs = [],
+  hashers = DEFAULT_HASHERS,
+  hasher = sha256
+} = {}) {
+  const registry = new Map()
+  for (const codec of [...DEFAULT_CODECS, ...codecs]) {
+    registry.set(codec.code, codec)
+  }
+
+  async function getNode (cid) {
+    const bytes = await blockstore.get(cid)
+    await verifyBlock(cid, bytes, hashers)
+
+    const codec = registry.get(cid.code)
+    if (!codec?.decode) {
+      throw new Error(`Cannot decode ${cid}, no decode function for codec 0x${cid.code.toString(16)}`)
+    }
+
+    return codec.decode(bytes)
+  }
+
+  async function saveNode (data, { encoding = 'dag-cbor' } = {}) {
+    const codec = [...registry.values()].find(({ name }) => name === encoding)
+    if (!codec?.encode) {
+      throw new Error(`Cannot encode node, no encode function for codec ${encoding}`)
+    }
+
+    const bytes = codec.encode(data)
+    const digest = await hasher.digest(bytes)
+    const cid = CID.create(1, codec.code, digest)
+
+    await blockstore.put(cid, bytes)
+
+    return cid
+  }
+
+  return { getNode, saveNode }
+}
@@ -0,0 +1,142 @@
+import { CID } from 'multiformats/cid'
+
+import { createADL } from './adl.js'
+import { integerParameter } from './ipldurl.js'
+
+// Implements the FlexibleByteLayout from the IPLD spec
+// https://ipld.io/specs/advanced-data-layouts/flexible-byte-layout/
+//
+// type FlexibleByteLayout union {
+//   | Bytes bytes
+//   | NestedByteList list
+//   | &FlexibleByteLayout link
+// } representation kinded
+// type NestedByteList [NestedByteListElement]
+// type NestedByteListElement struct {
+//   bytes FlexibleByteLayout
+//   length Int
+// } representation tuple
+
+// Present chunked bytes as a single sequence with a `size` and a `read({ offset, length })`
+// The `offset` and `length` parameters narrow the view down to a range of the bytes
+// Appending with `-` keeps new chunks inline until the substrate gets saved as raw chunks
+export const BytesADL = createADL({
+  reify (layout, { parameters }) {
+    const start = integerParameter(parameters, 'offset', 0)
+    const windowLength = integerParameter(parameters, 'length', Infinity)
+
+    const total = layoutSize(layout)
+    if (start > total) {
+      throw new RangeError(`Invalid offset ${start}, bytes are only ${total} long`)
+    }
+
+    return { layout, start, windowLength }
+  },
+  toSubstrate: ({ layout }, { system }) => saveLayout(layout, system),
+  get (state, key, { system }) {
+    const { layout, start, windowLength } = state
+    const end = Math.min(start + windowLength, layoutSize(layout))
+    const size = end - start
+
+    // Async iterable of Uint8Array chunks, only loads chunks that overlap the range
+    function read ({ offset = 0, length = Math.max(size - offset, 0) } = {}) {
+      checkInteger(offset, 'offset')
+      checkInteger(length, 'length')
+      const rangeStart = Math.min(start + offset, end)
+      const rangeEnd = Math.min(rangeStart + length, end)
+      return readLayout(layout, rangeStart, rangeEnd, system)
+    }
+
+    async function bytes (options) {
+      const chunks = []
+      for await (const chunk of read(options)) {
+        chunks.push(chunk)
+      }
+      return concatBytes(chunks)
+    }
+
+    return { size, read, bytes }[key]
+  },
+  set (state, key, value) {
+    if (key !== '-') throw new Error(`Cannot set ${key} in bytes, can only append with "-"`)
+    if (!(value instanceof Uint8Array)) throw new TypeError('Can only append Uint8Array values to bytes')
+    return { ...state, layout: appendLayout(state.layout, value) }
+  }
+})
+
+async function * readLayout (layout, start, end, system) {
+  if (start >= end) return
+
+  const asCID = CID.asCID(layout)
+  if (asCID) {
+    const node = await system.getNode(asCID)
+    yield * readLayout(node, start, end, system)
+    return
+  }
+
+  if (layout instanceof Uint8Array) {
+    yield layout.subarray(start, end)
+    return
+  }
+
+  let position = 0
+  for (const [bytes, length] of layout) {
+    const chunkStart = position
+    const chunkEnd = position + length
+    position = chunkEnd
+
+    if (chunkEnd <= start) continue
+    if (chunkStart >= end) break
+
+    yield * readLayout(bytes, Math.max(start - chunkStart, 0), Math.min(end, chunkEnd) - chunkStart, system)
+  }
+}
+
+function layoutSize (layout) {
+  if (layout instanceof Uint8Array) return layout.length
+  if (!Array.isArray(layout)) {
+    throw new TypeError('Invalid bytes, must be Bytes or a list of [bytes, length] tuples')
+  }
+  return layout.reduce((total, [, length]) => total + length, 0)
+}
+
+// Appended chunks are kept inline until the substrate gets saved
+const pending = new WeakSet()
+
+function appendLayout (layout, bytes) {
+  const list = (layout instanceof Uint8Array) ? [[layout, layout.length]] : layout
+  pending.add(bytes)
+  return [...list, [bytes, bytes.length]]
+}
+
+async function saveLayout (layout, system) {
+  if (layout instanceof Uint8Array) return layout
+
+  const saved = []
+  for (const [bytes, length] of layout) {
+    if (pending.has(bytes)) {
+      const link = await system.saveNode(bytes, { encoding: 'raw' })
+      saved.push([link, length])
+    } else {
+      saved.push([bytes, length])
+    }
+  }
+  return saved
+}
+
+function checkInteger (value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new RangeError(`Invalid ${name} ${value}, must be a positive integer`)
+  }
+}
+
+export function concatBytes (chunks) {
+  const length = chunks.reduce((total, chunk) => total + chunk.length, 0)
+  const result = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    result.set(chunk, offset)
+    offset += chunk.length
+  }
+  return result
+}
@@ -0,0 +1,105 @@
+import { CID } from 'multiformats/cid'
+
+// Least recently used cache bounded by entry count and/or estimated size in bytes
+export class LRUCache {
+  #entries = new Map()
+  #bytes = 0
+
+  hits = 0
+  misses = 0
+
+  constructor ({
+    maxEntries = Infinity,
+    maxBytes = Infinity,
+    sizeOf = () => 0
+  } = {}) {
+    this.maxEntries = maxEntries
+    this.maxBytes = maxBytes
+    this.sizeOf = sizeOf
+  }
+
+  get size () {
+    return this.#entries.size
+  }
+
+  get bytes () {
+    return this.#bytes
+  }
+
+  get (key) {
+    if (!this.#entries.has(key)) {
+      this.misses++
+      return undefined
+    }
+    this.hits++
+
+    // Re-insert so that the entry becomes the most recently used
+    const entry = this.#entries.get(key)
+    this.#entries.delete(key)
+    this.#entries.set(key, entry)
+
+    return entry.value
+  }
+
+  set (key, value) {
+    this.delete(key)
+
+    const size = this.sizeOf(value)
+    // Values that could never fit shouldn't evict everything else
+    if (size > this.maxBytes) return
+
+    this.#entries.set(key, { value, size })
+    this.#bytes += size
+
+    while ((this.#entries.size > this.maxEntries) || (this.#bytes > this.maxBytes)) {
+      const [oldest] = this.#entries.keys()
+      this.delete(oldest)
+    }
+  }
+
+  delete (key) {
+    if (!this.#entries.has(key)) return false
+    const { size } = this.#entries.get(key)
+    this.#entries.delete(key)
+    this.#bytes -= size
+    return true
+  }
+
+  clear () {
+    this.#entries.clear()
+    this.#bytes = 0
+  }
+
+  get stats () {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      entries: this.size,
+      bytes: this.bytes
+    }
+  }
+}
+
+// Rough estimate of how much memory a decoded node takes up
+export function estimateSize (node) {
+  if (node === null || node === undefined) return 1
+  if (typeof node === 'boolean') return 1
+  if (typeof node === 'number') return 8
+  if (typeof node === 'string') return node.length * 2
+
+  const asCID = CID.asCID(node)
+  if (asCID) return asCID.bytes.byteLength
+  if (node instanceof Uint8Array) return node.byteLength
+
+  if (Array.isArray(node)) {
+    return node.reduce((total, item) => total + estimateSize(item), 8)
+  }
+
+  if (typeof node === 'object') {
+    return Object.entries(node).reduce((total, [key, value]) => {
+      return total + (key.length * 2) + estimateSize(value)
+    }, 8)
+  }
+
+  return 8
+}
@@ -0,0 +1,55 @@
+import { CarReader, CarWriter } from '@ipld/car'
+import { CID } from 'multiformats/cid'
+
+import { DEFAULT_CODECS, verifyBlock } from './codecs.js'
+
+// Stream a CARv1 containing the given blocks with a single root
+export async function * writeCAR (root, blocks) {
+  const { writer, out } = CarWriter.create([root])
+
+  // The writer only emits data as the output gets consumed, so fill it concurrently
+  const writing = (async () => {
+    for (const { cid, bytes } of blocks) {
+      await writer.put({ cid, bytes })
+    }
+    await writer.close()
+  })()
+
+  yield * out
+
+  await writing
+}
+
+// Load a CAR file so that its blocks can be used as a `getNode` for an IPLDURLSystem
+// Accepts either the CAR bytes or an async iterable of chunks like what `exportCAR` streams
+export async function importCAR (car, { codecs = [] } = {}) {
+  const reader = (car instanceof Uint8Array)
+    ? await CarReader.fromBytes(car)
+    : await CarReader.fromIterable(car)
+
+  const registry = new Map()
+  for (const codec of [...DEFAULT_CODECS, ...codecs]) {
+    registry.set(codec.code, codec)
+  }
+
+  const roots = (await reader.getRoots()).map((root) => CID.asCID(root))
+
+  const blocks = new Map()
+  for await (const { cid: rawCID, bytes } of reader.blocks()) {
+    const cid = CID.asCID(rawCID)
+    await verifyBlock(cid, bytes)
+    blocks.set(cid.toString(), { cid, bytes })
+  }
+
+  async function getNode (cid) {
+    const key = cid.toString()
+    if (!blocks.has(key)) throw new Error(`Block ${key} not found in CAR`)
+    const codec = registry.get(cid.code)
+    if (!codec?.decode) {
+      throw new Error(`Cannot decode ${key}, no decode function for codec 0x${cid.code.toString(16)}`)
+    }
+    return codec.decode(blocks.get(key).bytes)
+  }
+
+  return { roots, blocks, getNode }
+}
@@ -0,0 +1,67 @@
+import * as dagCBOR from '@ipld/dag-cbor'
+import * as dagJSON from '@ipld/dag-json'
+import * as dagPB from '@ipld/dag-pb'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256, sha512 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+import { equals } from 'multiformats/bytes'
+
+// Codecs are plain objects with a `name` and multicodec `code`
+// They may optionally have `encode` / `decode` functions for bytes
+// And a `prepare` function to normalize and validate nodes before saving
+
+export const DAG_CBOR = {
+  name: dagCBOR.name,
+  code: dagCBOR.code,
+  encode: dagCBOR.encode,
+  decode: dagCBOR.decode
+}
+
+export const DAG_JSON = {
+  name: dagJSON.name,
+  code: dagJSON.code,
+  encode: dagJSON.encode,
+  decode: dagJSON.decode
+}
+
+export const DAG_PB = {
+  name: dagPB.name,
+  code: dagPB.code,
+  encode: dagPB.encode,
+  decode: dagPB.decode,
+  prepare (node) {
+    const prepared = dagPB.prepare(node)
+    // prepare() drops unknown properties, so validate against the original keys
+    dagPB.validate({ ...node, ...prepared })
+    return prepared
+  }
+}
+
+export const RAW = {
+  name: raw.name,
+  code: raw.code,
+  encode: raw.encode,
+  decode: raw.decode,
+  prepare (node) {
+    if (!(node instanceof Uint8Array)) {
+      throw new TypeError('Raw nodes must be a Uint8Array')
+    }
+    return node
+  }
+}
+
+export const DEFAULT_CODECS = [DAG_CBOR, DAG_JSON, DAG_PB, RAW]
+
+// Hashers used to verify that block bytes match their CID, keyed by multihash code
+export const DEFAULT_HASHERS = new Map([sha256, sha512, identity].map((hasher) => [hasher.code, hasher]))
+
+export async function verifyBlock (cid, bytes, hashers = DEFAULT_HASHERS) {
+  const hasher = hashers.get(cid.multihash.code)
+  if (!hasher) {
+    throw new Error(`Unknown hash function 0x${cid.multihash.code.toString(16)} for ${cid}`)
+  }
+  const { digest } = await hasher.digest(bytes)
+  if (!equals(digest, cid.multihash.digest)) {
+    throw new Error(`Block bytes do not match hash for ${cid}`)
+  }
+}
@@ -0,0 +1,48 @@
+// Chainable way to build up a patchset and apply it with `patch()`
+// Paths use the same `/` separated form as JSON Patch
+export class Editor {
+  #system = null
+  #url = null
+  #patchset = []
+
+  constructor (system, url) {
+    this.#system = system
+    this.#url = url
+  }
+
+  get patchset () {
+    return this.#patchset.slice()
+  }
+
+  // Sets a key in a map, or inserts into a list at an index
+  set (path, value) {
+    this.#patchset.push({ op: 'add', path, value })
+    return this
+  }
+
+  replace (path, value) {
+    this.#patchset.push({ op: 'replace', path, value })
+    return this
+  }
+
+  delete (path) {
+    this.#patchset.push({ op: 'remove', path })
+    return this
+  }
+
+  // Appends to the end of the list at the path
+  push (path, value) {
+    const listPath = path.endsWith('/') ? path.slice(0, -1) : path
+    this.#patchset.push({ op: 'add', path: `${listPath}/-`, value })
+    return this
+  }
+
+  test (path, value) {
+    this.#patchset.push({ op: 'test', path, value })
+    return this
+  }
+
+  async commit (options) {
+    return this.#system.patch(this.#url, this.#patchset, options)
+  }
+}
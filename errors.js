@@ -0,0 +1,32 @@
+import printify from '@ipld/printify'
+
+// Thrown when a root changed from what a patch expected
+// `expected` and `actual` are the CIDs of the roots, and `cause` is set when a rebase failed
+export class ConflictError extends Error {
+  constructor (message, { expected = null, actual = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ConflictError'
+    this.expected = expected
+    this.actual = actual
+  }
+}
+
+// Thrown when a patch would write a value that doesn't match the schema of the node
+// `path` is where the value was written, `expected` is the type in DSL form
+export class SchemaValidationError extends Error {
+  constructor (reason, { path, expected, value }) {
+    const actual = describeValue(value)
+    super(`${reason} at ${path}\nExpected: ${expected}\nActual: ${actual}`)
+    this.name = 'SchemaValidationError'
+    this.path = path
+    this.expected = expected
+    this.value = value
+  }
+}
+
+// Objects get printed like nodes, scalars like JSON so that strings and numbers stay readable
+export function describeValue (value) {
+  if (value === undefined) return 'nothing'
+  if ((value !== null) && (typeof value === 'object')) return printify(value)
+  return JSON.stringify(value)
+}
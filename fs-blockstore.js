@@ -0,0 +1,42 @@
+import { readFile, writeFile, mkdir, access } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// Stores raw block bytes as files in a directory, named after their CID
+// Kept out of the main entrypoint so that browser bundles don't pull in `fs`
+export class FSBlockstore {
+  #directory = null
+
+  constructor (directory) {
+    if (!directory) throw new TypeError('Must provide a directory to store blocks in')
+    this.#directory = directory
+  }
+
+  #pathFor (cid) {
+    return join(this.#directory, cid.toString())
+  }
+
+  async get (cid) {
+    try {
+      const buffer = await readFile(this.#pathFor(cid))
+      return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new Error(`Block ${cid} not found`)
+      throw e
+    }
+  }
+
+  async put (cid, bytes) {
+    await mkdir(this.#directory, { recursive: true })
+    await writeFile(this.#pathFor(cid), bytes)
+    return cid
+  }
+
+  async has (cid) {
+    try {
+      await access(this.#pathFor(cid))
+      return true
+    } catch {
+      return false
+    }
+  }
+}
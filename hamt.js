@@ -0,0 +1,304 @@
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { murmur364 } from '@multiformats/murmur3'
+
+import { createADL } from './adl.js'
+
+// Implements the IPLD HashMap spec
+// https://ipld.io/specs/advanced-data-layouts/hamt/spec/
+//
+// type HashMapRoot struct {
+//   hashAlg Int
+//   bucketSize Int
+//   hamt HashMapNode
+// }
+// type HashMapNode struct {
+//   map Bytes
+//   data [Element]
+// } representation tuple
+// type Element union {
+//   | &HashMapNode link
+//   | Bucket list
+// } representation kinded
+// type Bucket [BucketEntry]
+// type BucketEntry struct {
+//   key Bytes
+//   value Any
+// } representation tuple
+
+export const HAMT_HASHERS = new Map([murmur364, sha256].map((hasher) => [hasher.code, hasher]))
+
+const REMOVED = Symbol('removed')
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+// Present a HAMT root as a map keyed by strings
+// Reading a property returns a promise which loads shards as needed
+// Changes get tracked in the state and only written out when getting the substrate
+export const HAMTADL = createADL({
+  reify: (node) => ({ root: node, config: getConfig(node), changes: new Map() }),
+  toSubstrate: ({ root, config, changes }, { system }) => applyChanges(root, config, changes, system),
+  get: ({ root, config, changes }, key, { system }) => getView(root, config, changes, key, system),
+  set: (state, key, value, { replace = false }) => withChange(state, key, { value, replace }),
+  delete: (state, key) => withChange(state, key, REMOVED),
+  entries: ({ root, config, changes }, { system }) => iterateView(root, config, changes, system)
+})
+
+function withChange (state, key, change) {
+  return { ...state, changes: new Map([...state.changes, [key, change]]) }
+}
+
+function getConfig (root) {
+  const { hashAlg, bucketSize, hamt } = root || {}
+  if (!Array.isArray(hamt) || !(hamt[0] instanceof Uint8Array) || !Array.isArray(hamt[1])) {
+    throw new TypeError('Invalid HAMT root, must have a `hamt` with a map and data')
+  }
+  if (!Number.isInteger(bucketSize) || bucketSize < 1) {
+    throw new TypeError('Invalid HAMT root, `bucketSize` must be a positive integer')
+  }
+
+  const hasher = HAMT_HASHERS.get(hashAlg)
+  if (!hasher) {
+    const known = [...HAMT_HASHERS.values()].map(({ name }) => name).join(', ')
+    throw new Error(`Unsupported HAMT hashAlg ${hashAlg}. Must be one of ${known}`)
+  }
+
+  const bitWidth = Math.log2(hamt[0].length * 8)
+  if (!Number.isInteger(bitWidth) || bitWidth < 3) {
+    throw new TypeError('Invalid HAMT root, map must be 2^bitWidth bits long')
+  }
+
+  return { hasher, bucketSize, bitWidth }
+}
+
+async function getView (root, config, changes, key, system) {
+  if (changes.has(key)) {
+    const change = changes.get(key)
+    if (change === REMOVED) return undefined
+    return change.value
+  }
+  const keyBytes = textEncoder.encode(key)
+  const hash = await hashKey(config, keyBytes)
+  return getEntry(root.hamt, keyBytes, hash, 0, config, system)
+}
+
+async function * iterateView (root, config, changes, system) {
+  for await (const [keyBytes, value] of iterateNode(root.hamt, system)) {
+    const key = textDecoder.decode(keyBytes)
+    if (changes.has(key)) continue
+    yield [key, value]
+  }
+  for (const [key, change] of changes) {
+    if (change === REMOVED) continue
+    yield [key, change.value]
+  }
+}
+
+async function applyChanges (root, config, changes, system) {
+  let hamt = root.hamt
+  for (const [key, change] of changes) {
+    const keyBytes = textEncoder.encode(key)
+    const hash = await hashKey(config, keyBytes)
+    if (change === REMOVED) {
+      const updated = await deleteEntry(hamt, keyBytes, hash, 0, config, system)
+      if (!updated) throw new Error(`Cannot remove. Missing property ${key} in HAMT`)
+      hamt = updated
+    } else {
+      if (change.replace) {
+        const existing = await getEntry(hamt, keyBytes, hash, 0, config, system)
+        if (existing === undefined) throw new Error(`Cannot replace. Missing property ${key} in HAMT`)
+      }
+      hamt = await setEntry(hamt, keyBytes, change.value, hash, 0, config, system)
+    }
+  }
+  return { ...root, hamt }
+}
+
+async function getEntry (node, key, hash, depth, config, system) {
+  const [map, data] = node
+  const position = mask(hash, depth, config.bitWidth)
+  if (!bitmapHas(map, position)) return undefined
+
+  const element = data[elementIndex(map, position)]
+  const link = CID.asCID(element)
+  if (link) {
+    const child = await system.getNode(link)
+    return getEntry(child, key, hash, depth + 1, config, system)
+  }
+
+  const entry = element.find(([entryKey]) => compareBytes(entryKey, key) === 0)
+  return entry ? entry[1] : undefined
+}
+
+async function setEntry (node, key, value, hash, depth, config, system) {
+  const [map, data] = node
+  const position = mask(hash, depth, config.bitWidth)
+  const index = elementIndex(map, position)
+
+  if (!bitmapHas(map, position)) {
+    return [setBit(map, position, true), insertAt(data, index, [[key, value]])]
+  }
+
+  const element = data[index]
+  const link = CID.asCID(element)
+  if (link) {
+    const child = await system.getNode(link)
+    const updated = await setEntry(child, key, value, hash, depth + 1, config, system)
+    return [map, replaceAt(data, index, await saveShard(updated, system))]
+  }
+
+  const existing = element.findIndex(([entryKey]) => compareBytes(entryKey, key) === 0)
+  if (existing !== -1) {
+    return [map, replaceAt(data, index, replaceAt(element, existing, [key, value]))]
+  }
+
+  // Once we run out of hash bits, buckets are allowed to grow past their size
+  if ((element.length < config.bucketSize) || !canSplit(hash, depth, config)) {
+    return [map, replaceAt(data, index, insertSorted(element, [key, value]))]
+  }
+
+  // The bucket is full, so its entries get pushed down into a new shard
+  let child = emptyNode(config)
+  for (const [entryKey, entryValue] of [...element, [key, value]]) {
+    const entryHash = await hashKey(config, entryKey)
+    child = await setEntry(child, entryKey, entryValue, entryHash, depth + 1, config, system)
+  }
+
+  return [map, replaceAt(data, index, await saveShard(child, system))]
+}
+
+// Resolves to the updated node, or null if the key wasn't found
+async function deleteEntry (node, key, hash, depth, config, system) {
+  const [map, data] = node
+  const position = mask(hash, depth, config.bitWidth)
+  if (!bitmapHas(map, position)) return null
+
+  const index = elementIndex(map, position)
+  const element = data[index]
+  const link = CID.asCID(element)
+
+  if (link) {
+    const child = await system.getNode(link)
+    const updated = await deleteEntry(child, key, hash, depth + 1, config, system)
+    if (!updated) return null
+
+    // Shards that can fit in a single bucket get collapsed back into their parent
+    const collapsed = collapseNode(updated, config)
+    if (collapsed) {
+      return [map, replaceAt(data, index, collapsed)]
+    }
+    return [map, replaceAt(data, index, await saveShard(updated, system))]
+  }
+
+  const existing = element.findIndex(([entryKey]) => compareBytes(entryKey, key) === 0)
+  if (existing === -1) return null
+
+  const remaining = removeAt(element, existing)
+  if (!remaining.length) {
+    return [setBit(map, position, false), removeAt(data, index)]
+  }
+  return [map, replaceAt(data, index, remaining)]
+}
+
+async function * iterateNode (node, system) {
+  const [, data] = node
+  for (const element of data) {
+    const link = CID.asCID(element)
+    if (link) {
+      const child = await system.getNode(link)
+      yield * iterateNode(child, system)
+    } else {
+      yield * element
+    }
+  }
+}
+
+function collapseNode (node, config) {
+  const [, data] = node
+  const entries = []
+  for (const element of data) {
+    if (CID.asCID(element)) return null
+    entries.push(...element)
+  }
+  if (entries.length > config.bucketSize) return null
+  return entries.sort(([a], [b]) => compareBytes(a, b))
+}
+
+async function saveShard (node, system) {
+  return system.saveNode(node, { encoding: 'dag-cbor' })
+}
+
+function emptyNode (config) {
+  return [new Uint8Array(Math.pow(2, config.bitWidth) / 8), []]
+}
+
+async function hashKey (config, keyBytes) {
+  const { digest } = await config.hasher.digest(keyBytes)
+  return digest
+}
+
+function canSplit (hash, depth, config) {
+  return ((depth + 2) * config.bitWidth) <= (hash.length * 8)
+}
+
+// Read `bitWidth` bits from the hash, starting at the most significant bit
+export function mask (hash, depth, bitWidth) {
+  const start = depth * bitWidth
+  let value = 0
+  for (let bit = start; bit < start + bitWidth; bit++) {
+    const byte = hash[Math.floor(bit / 8)]
+    value = (value << 1) | ((byte >> (7 - (bit % 8))) & 1)
+  }
+  return value
+}
+
+function bitmapHas (map, position) {
+  return ((map[Math.floor(position / 8)] >> (position % 8)) & 1) === 1
+}
+
+function setBit (map, position, set) {
+  const updated = Uint8Array.from(map)
+  const byte = Math.floor(position / 8)
+  if (set) {
+    updated[byte] |= (1 << (position % 8))
+  } else {
+    updated[byte] &= ~(1 << (position % 8))
+  }
+  return updated
+}
+
+// Elements are stored compacted, so their index is the number of set bits before them
+function elementIndex (map, position) {
+  let index = 0
+  for (let i = 0; i < position; i++) {
+    if (bitmapHas(map, i)) index++
+  }
+  return index
+}
+
+function insertSorted (bucket, entry) {
+  return [...bucket, entry].sort(([a], [b]) => compareBytes(a, b))
+}
+
+function insertAt (list, index, item) {
+  return [...list.slice(0, index), item, ...list.slice(index)]
+}
+
+function replaceAt (list, index, item) {
+  const copy = list.slice()
+  copy[index] = item
+  return copy
+}
+
+function removeAt (list, index) {
+  return [...list.slice(0, index), ...list.slice(index + 1)]
+}
+
+function compareBytes (a, b) {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return a.length - b.length
+}
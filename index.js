@@ -3,21 +3,49 @@ import printify from '@ipld/printify'
 import { toDSL } from '@ipld/schema/to-dsl.js'
 
 import { CID } from 'multiformats/cid'
+import { identity } from 'multiformats/hashes/identity'
 import { base32 } from 'multiformats/bases/base32'
 import { base36 } from 'multiformats/bases/base36'
 
-import { IPLDURL } from './ipldurl.js'
+import { IPLDURL, IPLDURLParameters, PARAMETER_SEPARATOR, PARAMETER_EQUALS, integerParameter } from './ipldurl.js'
+import { DEFAULT_CODECS, verifyBlock } from './codecs.js'
+import { writeCAR } from './car.js'
+import { LRUCache, estimateSize } from './cache.js'
+import { ConflictError, SchemaValidationError, describeValue } from './errors.js'
+import { Editor } from './edit.js'
+import { inferSchema } from './infer.js'
+import { migrateForward, migrateBackward } from './migrate.js'
+import { compileSelector, matches, interests, explore } from './selector.js'
+import { SUBSTRATE, ADD_LENS, SET, DELETE } from './symbols.js'
+import { createADL, lens, isADLView } from './adl.js'
+import { HAMTADL } from './hamt.js'
+import { UnixFSADL } from './unixfs.js'
+import { BytesADL } from './bytes.js'
 
 export { IPLDURL } from './ipldurl.js'
-
-// Use as method to get the "raw" form of a node that's been wrapped with an ADL
-export const SUBSTRATE = Symbol.for('ipld.substrate')
-
-// Use as a method to detect if a given CID should be wrapped with an ADL
-export const ADD_LENS = Symbol.for('ipld.add_lens')
+export { DEFAULT_CODECS, DEFAULT_HASHERS } from './codecs.js'
+export { importCAR } from './car.js'
+export { MemoryBlockstore, fromBlockstore } from './blockstores.js'
+export { MemoryNameResolver } from './names.js'
+export { ConflictError, SchemaValidationError } from './errors.js'
+export { Editor } from './edit.js'
+export { SUBSTRATE, ADD_LENS, SET, DELETE } from './symbols.js'
+export { createADL, lens } from './adl.js'
+export { HAMTADL } from './hamt.js'
+export { UnixFSADL } from './unixfs.js'
+export { BytesADL } from './bytes.js'
+export { parseSelector } from './selector.js'
+
+export const DEFAULT_ADLS = new Map([
+  ['hamt', HAMTADL],
+  ['unixfs', UnixFSADL],
+  ['bytes', BytesADL]
+])
 
 export const DEFAULT_CID_BASES = base32.decoder.or(base36.decoder)
 
+export const DEFAULT_MAX_HOPS = 32
+
 export class IPLDURLSystem {
   #getNode = null
   #saveNode = null
@@ -26,18 +54,61 @@ export class IPLDURLSystem {
     getNode,
     saveNode,
     adls = new Map(),
+    codecs = [],
+    cache = null,
+    names = null,
+    migrations = [],
     cidBases = DEFAULT_CID_BASES
   }) {
     if (!getNode) throw new TypeError('Must provide a getNode function')
     if (!saveNode) throw new TypeError('Must provide a saveNode function')
     this.#getNode = getNode
     this.#saveNode = saveNode
-    this.adls = adls
+    // Bundled ADLs are always available, custom ones override them
+    // ADLs can be plain functions or objects with hooks for `createADL`
+    this.adls = new Map()
+    for (const [name, adl] of [...DEFAULT_ADLS, ...adls]) {
+      this.adls.set(name, (typeof adl === 'function') ? adl : createADL(adl))
+    }
     this.cidBases = cidBases
+    // Resolves names in URLs that aren't CIDs, and publishes new roots to them
+    this.names = names
+
+    // Codecs are keyed by their multicodec code, custom ones override the defaults
+    this.codecs = new Map()
+    for (const codec of [...DEFAULT_CODECS, ...codecs]) {
+      this.codecs.set(codec.code, codec)
+    }
+
+    // Migrations are keyed by the schema CIDs they go from and to
+    this.migrations = new Map()
+    for (const migration of migrations) {
+      this.addMigration(migration)
+    }
+
+    // Decoded nodes and compiled schemas only get cached if limits are provided
+    this.cache = null
+    this.typedSchemaCache = null
+    if (cache) {
+      const { maxEntries, maxBytes, maxTypedSchemas = 100 } = cache
+      // The point of the limits is to bound memory, so the node cache can't be left unbounded
+      if (!Number.isFinite(maxEntries) && !Number.isFinite(maxBytes)) {
+        throw new TypeError('The cache must have a maxEntries and/or maxBytes limit')
+      }
+      this.cache = new LRUCache({ maxEntries, maxBytes, sizeOf: estimateSize })
+      this.typedSchemaCache = new LRUCache({ maxEntries: maxTypedSchemas })
+    }
+  }
+
+  get cacheStats () {
+    return {
+      nodes: this.cache?.stats ?? null,
+      typedSchemas: this.typedSchemaCache?.stats ?? null
+    }
   }
 
   async getNode (cid) {
-    const node = await this.#getNode(cid)
+    const node = await this.#loadNode(cid)
     if (cid[ADD_LENS]) {
       return cid[ADD_LENS](node)
     }
@@ -48,13 +119,88 @@ export class IPLDURLSystem {
     return this.#saveNode(...args)
   }
 
-  async resolve (url, { resolveFinalCID = true } = {}) {
+  // Load the raw decoded node, going through the cache if there is one
+  async #loadNode (cid) {
+    if (!this.cache) return this.#getNode(cid)
+
+    const key = cid.toString()
+    const cached = this.cache.get(key)
+    if (cached !== undefined) return cached
+
+    const node = await this.#getNode(cid)
+    this.cache.set(key, node)
+    return node
+  }
+
+  getTypedSchema (schemaCID, schemaDMT, type) {
+    if (!this.typedSchemaCache) return createTyped(schemaDMT, type)
+
+    const key = `${schemaCID};${type}`
+    const cached = this.typedSchemaCache.get(key)
+    if (cached !== undefined) return cached
+
+    const typedSchema = createTyped(schemaDMT, type)
+    this.typedSchemaCache.set(key, typedSchema)
+    return typedSchema
+  }
+
+  // Register rules for the `migrateTo` parameter to turn data from one schema into another
+  addMigration (migration) {
+    const { from, to } = migration
+    if (!from || !to) throw new TypeError('Migrations must have `from` and `to` schema CIDs')
+    this.migrations.set(this.#migrationKey(from, to), migration)
+  }
+
+  getMigration (from, to) {
+    return this.migrations.get(this.#migrationKey(from, to)) ?? null
+  }
+
+  #migrationKey (from, to) {
+    const fromCID = CID.asCID(from) ?? CID.parse(from, this.cidBases)
+    const toCID = CID.asCID(to) ?? CID.parse(to, this.cidBases)
+    return `${fromCID};${toCID}`
+  }
+
+  // Make a system with the same configuration but different storage
+  #derive ({ getNode = this.#getNode, saveNode = this.#saveNode } = {}) {
+    const system = new IPLDURLSystem({
+      getNode,
+      saveNode,
+      adls: this.adls,
+      codecs: [...this.codecs.values()],
+      names: this.names,
+      migrations: [...this.migrations.values()],
+      cidBases: this.cidBases
+    })
+    // Compiled schemas only depend on the schema CID and type, so they can be shared
+    system.typedSchemaCache = this.typedSchemaCache
+    return system
+  }
+
+  async resolve (url, {
+    resolveFinalCID = true,
+    withProof = false,
+    followURLs = false,
+    maxHops = DEFAULT_MAX_HOPS
+  } = {}) {
+    if (withProof) {
+      return this.#resolveWithProof(url, { resolveFinalCID, followURLs, maxHops })
+    }
+
+    // Hops are counted across every URL followed while resolving
+    const hops = followURLs ? { count: 0, maxHops } : null
+
+    return this.#resolve(url, resolveFinalCID, hops, [new IPLDURL(url).href])
+  }
+
+  async #resolve (url, resolveFinalCID, hops, visiting) {
+    const pinned = await this.#pinURL(url)
     const {
       cid,
       segments,
       parameters: initialParameters,
       resolveFinal
-    } = new IPLDURL(url)
+    } = new IPLDURL(pinned)
 
     let data = await this.getNode(cid)
 
@@ -63,12 +209,22 @@ export class IPLDURLSystem {
     }
 
     let lastCID = cid
+    let lastURL = null
 
     for (const { name, parameters } of segments) {
       // This does enables ADLs to return promises for properties
-      data = data[name]
+      data = await data[name]
       lastCID = null
-      const asCID = CID.asCID(data)
+      lastURL = null
+
+      // Values that are IPLD URLs get followed like links if enabled
+      const asURL = hops && asIPLDURL(data)
+      if (asURL) {
+        lastURL = data
+        data = await this.#followURL(asURL, hops, visiting)
+      }
+
+      const asCID = asLink(data)
       if (asCID) {
         lastCID = asCID
         data = await this.getNode(asCID)
@@ -80,6 +236,328 @@ export class IPLDURLSystem {
       return lastCID
     }
 
+    if (lastURL && (!resolveFinal && !resolveFinalCID)) {
+      return lastURL
+    }
+
+    return data
+  }
+
+  async #followURL (url, hops, visiting) {
+    if (visiting.includes(url.href)) {
+      throw new Error(`Cycle detected following ${url.href} from ${visiting.join(' -> ')}`)
+    }
+    if (hops.count >= hops.maxHops) {
+      throw new Error(`Too many hops following ${url.href}, max is ${hops.maxHops}`)
+    }
+    hops.count++
+
+    return this.#resolve(url.href, true, hops, [...visiting, url.href])
+  }
+
+  // Record every block loaded during resolution so clients can verify the result
+  async #resolveWithProof (url, options) {
+    const loaded = new Map()
+
+    const system = this.#derive({
+      getNode: async (cid) => {
+        const node = await this.#loadNode(cid)
+        const key = cid.toString()
+        if (!loaded.has(key)) loaded.set(key, { cid, node })
+        return node
+      }
+    })
+
+    const value = await system.resolve(url, options)
+
+    const proof = [...loaded.values()].map(({ cid, node }) => {
+      const codec = this.getCodec(cid)
+      if (!codec.encode) {
+        throw new Error(`Cannot create proof, codec ${codec.name} has no encode function`)
+      }
+      const bytes = codec.encode(node)
+      return { cid: CID.create(cid.version, cid.code, cid.multihash), bytes }
+    })
+
+    return { value, proof }
+  }
+
+  // Stream a CARv1 with every block needed to resolve the URL, rooted at the URL's CID
+  async * exportCAR (url) {
+    const pinned = await this.#pinURL(url)
+    const { cid } = new IPLDURL(pinned)
+    const { proof } = await this.#resolveWithProof(pinned, {})
+
+    yield * writeCAR(cid, proof)
+  }
+
+  // Iterate over the entries of a list or map without loading every linked value up front
+  // `start` and `limit` parameters on the final segment paginate over the entries
+  async * iterate (url) {
+    const { segments, parameters: initialParameters } = new IPLDURL(url)
+
+    const parameters = segments.length
+      ? segments[segments.length - 1].parameters
+      : initialParameters
+
+    const start = integerParameter(parameters, 'start', 0)
+    const limit = integerParameter(parameters, 'limit', Infinity)
+
+    const data = await this.resolve(url)
+
+    let index = 0
+    let count = 0
+    for await (const [key, rawValue] of entriesOf(data)) {
+      if (index++ < start) continue
+      if (count++ >= limit) break
+
+      // Links only get loaded once their entry is reached
+      // This also enables ADLs to return promises for values
+      let value = await rawValue
+      const asCID = asLink(value)
+      if (asCID) {
+        value = await this.getNode(asCID)
+      }
+
+      yield [key, value]
+    }
+  }
+
+  // Yield `{ path, node }` for every node an IPLD selector matches, starting from the URL
+  // The selector can be a DMT or a compact string, or come from the `selector` parameter on the final segment
+  async * select (url, selector = null) {
+    const { segments, parameters: initialParameters } = new IPLDURL(url)
+
+    const parameters = segments.length
+      ? segments[segments.length - 1].parameters
+      : initialParameters
+
+    const toSelect = selector ?? parameters?.get('selector')
+    if (!toSelect) {
+      throw new TypeError('Must provide a selector, or a selector parameter on the final segment')
+    }
+
+    const compiled = compileSelector(toSelect)
+    const data = await this.resolve(url)
+
+    yield * this.#select(data, compiled, '')
+  }
+
+  async * #select (node, selector, path) {
+    if (matches(selector)) yield { path, node }
+
+    // Only lists, maps and ADLs have entries to explore
+    if (!node || (typeof node !== 'object') || asLink(node) || (node instanceof Uint8Array)) return
+
+    // Selectors that only want a few keys don't need every entry to be listed
+    const keys = interests(selector)
+    const entries = keys ? keys.map((key) => [key, node[key]]) : entriesOf(node)
+
+    for await (const [key, rawValue] of entries) {
+      const next = explore(selector, key)
+      if (!next) continue
+
+      // Links only get loaded if the selector explores them
+      let value = await rawValue
+      if (value === undefined) continue
+      const asCID = asLink(value)
+      if (asCID) {
+        value = await this.getNode(asCID)
+      }
+
+      yield * this.#select(value, next, `${path}/${key}`)
+    }
+  }
+
+  // Compare the data at two URLs and get a patchset that turns the first into the second
+  // Subtrees behind equal links are skipped without being loaded
+  async diff (fromURL, toURL) {
+    const from = await this.resolve(fromURL, { resolveFinalCID: false })
+    const to = await this.resolve(toURL, { resolveFinalCID: false })
+
+    const patchset = []
+    await this.#diffValues(from, to, '', patchset)
+    return patchset
+  }
+
+  async #diffValues (fromValue, toValue, path, patchset) {
+    const fromCID = asLink(fromValue)
+    const toCID = asLink(toValue)
+    if (fromCID && toCID && fromCID.equals(toCID)) return
+
+    // Links get loaded so that lenses from schemas and ADLs apply
+    const from = await this.#loadForDiff(fromValue)
+    const to = await this.#loadForDiff(toValue)
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+      const shared = Math.min(from.length, to.length)
+      for (let index = 0; index < shared; index++) {
+        await this.#diffValues(from[index], to[index], `${path}/${index}`, patchset)
+      }
+      // Remove from the end so that earlier indexes stay valid
+      for (let index = from.length - 1; index >= shared; index--) {
+        patchset.push({ op: 'remove', path: `${path}/${index}` })
+      }
+      for (let index = shared; index < to.length; index++) {
+        patchset.push({ op: 'add', path: `${path}/${index}`, value: to[index] })
+      }
+      return
+    }
+
+    if (isMap(from) && isMap(to)) {
+      for (const key of Object.keys(from)) {
+        if (!(key in to)) {
+          patchset.push({ op: 'remove', path: `${path}/${encodePathKey(key)}` })
+        } else {
+          await this.#diffValues(from[key], to[key], `${path}/${encodePathKey(key)}`, patchset)
+        }
+      }
+      for (const key of Object.keys(to)) {
+        if (!(key in from)) {
+          patchset.push({ op: 'add', path: `${path}/${encodePathKey(key)}`, value: to[key] })
+        }
+      }
+      return
+    }
+
+    if (!isDeepEqual(from, to)) {
+      patchset.push({ op: 'replace', path, value: toValue })
+    }
+  }
+
+  // Apply the changes from `base` to `theirs` on top of `ours`
+  // Changes that both sides made to the same value are left as they are in `ours` and reported as conflicts
+  async merge (baseURL, oursURL, theirsURL, options = {}) {
+    const base = await this.resolve(baseURL, { resolveFinalCID: false })
+    const ours = await this.resolve(oursURL, { resolveFinalCID: false })
+    const theirs = await this.resolve(theirsURL, { resolveFinalCID: false })
+
+    const patchset = []
+    const conflicts = []
+
+    // Whole roots that only changed on one side don't need patching
+    if (await this.#isSame(base, ours)) return { url: theirsURL, conflicts }
+    if (await this.#isSame(base, theirs)) return { url: oursURL, conflicts }
+
+    await this.#mergeValues(base, ours, theirs, '', patchset, conflicts)
+
+    if (!patchset.length) return { url: oursURL, conflicts }
+
+    const url = await this.patch(oursURL, patchset, options)
+    return { url, conflicts }
+  }
+
+  async #mergeValues (base, ours, theirs, path, patchset, conflicts) {
+    if (await this.#isSame(base, theirs)) return
+    if (await this.#isSame(ours, theirs)) return
+
+    if (await this.#isSame(base, ours)) {
+      if (theirs === MISSING) {
+        patchset.push({ op: 'remove', path })
+      } else if (ours === MISSING) {
+        patchset.push({ op: 'add', path, value: theirs })
+      } else {
+        patchset.push({ op: 'replace', path, value: theirs })
+      }
+      return
+    }
+
+    // Both sides changed the value, so try merging within it
+    if ((base !== MISSING) && (ours !== MISSING) && (theirs !== MISSING)) {
+      const baseData = await this.#loadForDiff(base)
+      const oursData = await this.#loadForDiff(ours)
+      const theirsData = await this.#loadForDiff(theirs)
+
+      if ([baseData, oursData, theirsData].every((data) => Array.isArray(data))) {
+        return this.#mergeLists(baseData, oursData, theirsData, path, patchset, conflicts)
+      }
+      if ([baseData, oursData, theirsData].every(isMap)) {
+        return this.#mergeMaps(baseData, oursData, theirsData, path, patchset, conflicts)
+      }
+    }
+
+    conflicts.push({
+      path,
+      base: orUndefined(base),
+      ours: orUndefined(ours),
+      theirs: orUndefined(theirs)
+    })
+  }
+
+  async #mergeMaps (base, ours, theirs, path, patchset, conflicts) {
+    const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)])
+    for (const key of keys) {
+      await this.#mergeValues(
+        (key in base) ? base[key] : MISSING,
+        (key in ours) ? ours[key] : MISSING,
+        (key in theirs) ? theirs[key] : MISSING,
+        `${path}/${encodePathKey(key)}`,
+        patchset,
+        conflicts
+      )
+    }
+  }
+
+  // Lists get merged by index, with their appended items going after ours
+  async #mergeLists (base, ours, theirs, path, patchset, conflicts) {
+    const shared = Math.min(base.length, ours.length, theirs.length)
+    for (let index = 0; index < shared; index++) {
+      await this.#mergeValues(base[index], ours[index], theirs[index], `${path}/${index}`, patchset, conflicts)
+    }
+
+    const removals = []
+    for (let index = shared; index < base.length; index++) {
+      const inOurs = (index < ours.length) ? ours[index] : MISSING
+      const inTheirs = (index < theirs.length) ? theirs[index] : MISSING
+      if ((inOurs === MISSING) && (inTheirs === MISSING)) continue
+
+      const unchanged = (inTheirs === MISSING)
+        ? await this.#isSame(base[index], inOurs)
+        : await this.#isSame(base[index], inTheirs)
+
+      if (!unchanged) {
+        conflicts.push({ path: `${path}/${index}`, base: base[index], ours: orUndefined(inOurs), theirs: orUndefined(inTheirs) })
+      } else if (inTheirs === MISSING) {
+        removals.push(index)
+      }
+    }
+
+    // Remove from the end so that earlier indexes stay valid
+    for (const index of removals.reverse()) {
+      patchset.push({ op: 'remove', path: `${path}/${index}` })
+    }
+
+    for (let index = base.length; index < theirs.length; index++) {
+      patchset.push({ op: 'add', path: `${path}/-`, value: theirs[index] })
+    }
+  }
+
+  async #isSame (a, b) {
+    if ((a === MISSING) || (b === MISSING)) return a === b
+
+    const aCID = asLink(a)
+    const bCID = asLink(b)
+    if (aCID && bCID && aCID.equals(bCID)) return true
+
+    return isDeepEqual(await this.#loadForDiff(a), await this.#loadForDiff(b))
+  }
+
+  async #loadForDiff (value) {
+    let data = await value
+    const asCID = asLink(data)
+    if (asCID) {
+      data = await this.getNode(asCID)
+    }
+
+    // ADLs that can be iterated get compared by their entries
+    if (data && data[Symbol.asyncIterator]) {
+      const entries = {}
+      for await (const [key, entry] of data) {
+        entries[key] = await entry
+      }
+      return entries
+    }
+
     return data
   }
 
@@ -93,7 +571,7 @@ export class IPLDURLSystem {
     const type = parameters.get('type')
     const adl = parameters.get('adl')
 
-    const asCID = CID.asCID(data)
+    const asCID = asLink(data)
     if (asCID) {
       data = await this.getNode(asCID)
     }
@@ -102,6 +580,11 @@ export class IPLDURLSystem {
       data = await SchemaADL(data, { schema, type }, this)
     }
 
+    const migrateTo = parameters.get('migrateTo')
+    if (migrateTo) {
+      data = await MigrationLens(data, { schema, type, migrateTo }, this)
+    }
+
     if (adl) {
       if (!this.adls.has(adl)) {
         const known = [...this.adls.keys()].join(', ')
@@ -110,10 +593,196 @@ export class IPLDURLSystem {
       data = await this.adls.get(adl)(data, parameters, this)
     }
 
+    // Switch between the type level and representation forms of schema'd data
+    const view = parameters.get('view')
+    if (view === 'representation') {
+      data = toRepresentationView(data, this)
+    } else if (view === 'typed') {
+      data = toTypedView(data, this)
+    } else if (view) {
+      throw new Error(`Unknown view ${view}. Must be one of typed, representation`)
+    }
+
     return data
   }
 
-  async patch (url, patchset) {
+  // Returns the URL with the CID of the new root
+  // If the URL's root is a name, the new root gets published to it unless `publish` is false
+  // Throws a ConflictError if the root isn't the `expectedRoot`, or changed before publishing
+  async patch (url, patchset, { publish = true, expectedRoot = null } = {}) {
+    const { root } = new IPLDURL(url)
+    const head = await this.resolveRoot(url)
+
+    const pinnedURL = new IPLDURL(url)
+    pinnedURL.cid = head
+    const pinned = pinnedURL.href
+
+    const expected = expectedRoot && CID.asCID(expectedRoot)
+    if (expected && !expected.equals(head)) {
+      throw new ConflictError(`Expected root ${expected} but found ${head}`, { expected, actual: head })
+    }
+
+    // Patches get applied to an in-memory working copy first
+    // Nothing gets saved unless every operation succeeded
+    const { system, commit } = this.#createWorkingCopy()
+
+    const workingURL = new IPLDURL(await system.#applyPatchset(pinned, patchset))
+
+    const finalURL = new IPLDURL(pinned)
+    finalURL.cid = await commit(workingURL.cid)
+
+    if (publish && !this.#parseCID(root)) {
+      await this.names.publish(root, finalURL.cid, { expected: head })
+    }
+
+    return finalURL.href
+  }
+
+  // Patch a named root, rebasing the patchset onto the latest root when there's a conflict
+  // Throws a ConflictError if the patchset can't be applied to the latest root
+  async patchWithRetry (url, patchset, { maxRetries = 3, ...options } = {}) {
+    let lastConflict = null
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // The patchset gets rebased onto whatever the name points to now
+      const attemptOptions = attempt ? { ...options, expectedRoot: null } : options
+      try {
+        return await this.patch(url, patchset, attemptOptions)
+      } catch (e) {
+        if (e instanceof ConflictError) {
+          // Roots that are CIDs can't move, so there's nothing to rebase onto
+          if (this.#parseCID(new IPLDURL(url).root)) throw e
+          lastConflict = e
+          continue
+        }
+        if (!lastConflict) throw e
+        throw new ConflictError(`Cannot rebase patchset onto ${lastConflict.actual}: ${e.message}`, {
+          expected: lastConflict.expected,
+          actual: lastConflict.actual,
+          cause: e
+        })
+      }
+    }
+
+    throw lastConflict
+  }
+
+  // Apply a JSON Merge Patch (RFC 7396), where `null` removes a key and objects get merged recursively
+  async mergePatch (url, mergePatch, options) {
+    if (!isMap(mergePatch)) {
+      throw new TypeError('Merge patch must be an object')
+    }
+
+    const target = await this.resolve(url, { resolveFinalCID: false })
+
+    const patchset = []
+    await this.#mergePatchOps(target, mergePatch, '', patchset)
+    return this.patch(url, patchset, options)
+  }
+
+  async #mergePatchOps (target, mergePatch, path, patchset) {
+    const data = await this.#loadForDiff(target)
+    if (!isMap(data)) {
+      throw new TypeError(`Cannot merge patch into ${path || 'root'}, it isn't a map`)
+    }
+
+    for (const [key, value] of Object.entries(mergePatch)) {
+      const keyPath = `${path}/${encodePathKey(key)}`
+      if (value === null) {
+        if (key in data) patchset.push({ op: 'remove', path: keyPath })
+      } else if (isMap(value) && (key in data) && isMap(await this.#loadForDiff(data[key]))) {
+        await this.#mergePatchOps(data[key], value, keyPath, patchset)
+      } else {
+        patchset.push({ op: 'add', path: keyPath, value: withoutNulls(value) })
+      }
+    }
+  }
+
+  // Build up a patchset with `set`, `delete` and `push`, then `commit()` it
+  edit (url) {
+    return new Editor(this, url)
+  }
+
+  // Derive a schema DMT from the data at a URL, following links up to `depth` deep
+  // The root type is named `Root`, save the schema to use it with the `schema` parameter
+  async inferSchema (url, options) {
+    const data = await this.resolve(url)
+    return inferSchema(data, this, options)
+  }
+
+  // Get the CID a URL's root points to, going through the name resolver if it isn't a CID
+  async resolveRoot (url) {
+    const { root } = new IPLDURL(url)
+
+    const cid = this.#parseCID(root)
+    if (cid) return cid
+
+    if (!this.names) {
+      throw new Error(`Cannot resolve name ${root}, no name resolver was provided`)
+    }
+
+    const resolved = CID.asCID(await this.names.resolve(root))
+    if (!resolved) throw new Error(`Name ${root} did not resolve to a CID`)
+
+    return resolved
+  }
+
+  // Replace a named root with the CID it currently points to
+  async #pinURL (url) {
+    const pinned = new IPLDURL(url)
+    if (this.#parseCID(pinned.root)) return pinned.href
+
+    pinned.cid = await this.resolveRoot(url)
+    return pinned.href
+  }
+
+  #parseCID (root) {
+    try {
+      return CID.parse(root, this.cidBases)
+    } catch {
+      return null
+    }
+  }
+
+  #createWorkingCopy () {
+    const pending = new Map()
+    const committed = new Map()
+    let counter = 0
+
+    const system = this.#derive({
+      getNode: async (cid) => {
+        const key = cid.toString()
+        if (pending.has(key)) return pending.get(key).data
+        return this.#loadNode(cid)
+      },
+      saveNode: async (data, { encoding }) => {
+        // Stand in for the final CID until the block gets committed
+        const codec = [...this.codecs.values()].find(({ name }) => name === encoding)
+        const placeholder = identity.digest(new TextEncoder().encode(`pending-${counter++}`))
+        const cid = CID.create(1, codec.code, placeholder)
+        pending.set(cid.toString(), { data, encoding })
+        return cid
+      }
+    })
+
+    // Save pending blocks reachable from the root, children before their parents
+    const commit = async (cid) => {
+      const key = cid.toString()
+      if (!pending.has(key)) return cid
+      if (committed.has(key)) return committed.get(key)
+
+      const { data, encoding } = pending.get(key)
+      const resolved = await mapLinks(data, commit)
+      const saved = await this.saveNode(resolved, { encoding })
+
+      committed.set(key, saved)
+      return saved
+    }
+
+    return { system, commit }
+  }
+
+  async #applyPatchset (url, patchset) {
     const {
       cid: root,
       segments,
@@ -128,11 +797,16 @@ export class IPLDURLSystem {
     // Apply patches to it
     // Patch in the node's substrate
 
-    const encoding = this.getCidEncoding(cid)
-
     for (const { op, path, value, from } of patchset) {
-      const pathSegments = patchPathToSegments(path)
+      // An empty path refers to the whole value the URL points to
+      const pathSegments = (path === '') ? [] : patchPathToSegments(path)
       const allSegments = segments.concat(pathSegments)
+
+      if (!allSegments.length) {
+        cid = await this.#patchRoot(cid, initialParameters, { op, path, value })
+        continue
+      }
+
       let operation = null
       if (op === 'add') {
         operation = makeAdd(value)
@@ -164,8 +838,7 @@ export class IPLDURLSystem {
 
         operation = makeAdd(fromValue)
       } else if (op === 'test') {
-        // TODO: Support deep equals for arrays and objects along with CIDs
-        operation = makeEqual(value)
+        operation = makeEqual(value, path)
       } else {
         throw new Error(`Invalid patch operation type ${op}`)
       }
@@ -176,11 +849,7 @@ export class IPLDURLSystem {
 
       const modified = await this.#applyPatch(wrapped, allSegments, operation)
 
-      let toSave = modified
-      if (modified[SUBSTRATE]) {
-        toSave = toSave[SUBSTRATE]()
-      }
-      cid = await this.saveNode(toSave, { encoding })
+      cid = await this.#saveLike(modified, cid)
     }
 
     // After all the modifications have occured, print the resulting URL
@@ -190,10 +859,22 @@ export class IPLDURLSystem {
     return finalURL.href
   }
 
-  async #applyPatch (node, segments, operation) {
+  // Roots can only be replaced or tested as a whole, replacements get saved as they are
+  async #patchRoot (cid, parameters, { op, path, value }) {
+    if (op === 'replace') return this.#saveLike(value, cid)
+    if (op === 'test') {
+      const current = await this.#applyParameters(await this.getNode(cid), parameters)
+      await makeEqual(value, path)({ [path]: current }, path)
+      return cid
+    }
+    throw new Error(`Cannot ${op} the root, only replace and test can use an empty path`)
+  }
+
+  // `parents` are the names of the segments leading to this node, used in errors
+  async #applyPatch (node, segments, operation, parents = []) {
     // TODO apply / unapply lenses over nodes
     const { name, parameters } = segments[0]
-    const asCID = CID.asCID(node)
+    const asCID = asLink(node)
 
     if (!segments.length) {
       // TODO: How do we account for this?
@@ -207,20 +888,18 @@ export class IPLDURLSystem {
         data = await this.#applyParameters(data, parameters)
       }
 
-      const modified = operation(data, name)
+      // Typed nodes get checked before anything gets saved
+      const schemaType = data?.[SCHEMA_TYPE]
+      const modified = await operation(data, name)
+      if (schemaType) {
+        validateWrite(modified, name, schemaType, [...parents, name], this)
+      }
 
       if (!asCID) {
         return modified
       }
-      const encoding = this.getCidEncoding(asCID)
-
-      let toSave = modified
-      if (modified[SUBSTRATE]) {
-        toSave = toSave[SUBSTRATE]()
-      }
-      const newCID = await this.saveNode(toSave, { encoding })
 
-      return newCID
+      return this.#saveLike(modified, asCID)
     } else {
       const [{ name }, ...remainder] = segments
 
@@ -230,32 +909,21 @@ export class IPLDURLSystem {
 
         const existing = data[name]
 
-        const wrapped = await this.#applyParameters(existing, parameters)
-        const updated = await this.#applyPatch(wrapped, remainder, operation)
+        const updated = await this.#applyPatchWithin(existing, parameters, remainder, operation, [...parents, name])
         const modified = { ...data, [name]: updated }
 
-        const encoding = this.getCidEncoding(asCID)
-
-        let toSave = modified
-        if (modified[SUBSTRATE]) {
-          toSave = await toSave[SUBSTRATE]()
-        }
-        const newCID = await this.saveNode(toSave, { encoding })
-        return newCID
+        return this.#saveLike(modified, asCID)
       }
 
-      if (!(name in node)) throw new Error(`Path ${name} not found in node`)
+      // ADLs may return promises for properties
+      const existing = await node[name]
+      if (existing === undefined) throw new Error(`Path ${name} not found in node`)
 
-      const existing = node[name]
-
-      const wrapped = await this.#applyParameters(existing, parameters)
-      const updated = await this.#applyPatch(wrapped, remainder, operation)
-      let final = updated
-      if (updated[SUBSTRATE]) {
-        final = await final[SUBSTRATE]()
-      }
+      const final = await this.#applyPatchWithin(existing, parameters, remainder, operation, [...parents, name])
 
-      if (Array.isArray(node)) {
+      if (node[SET]) {
+        return node[SET](name, final)
+      } else if (Array.isArray(node)) {
         const copy = node.slice()
         copy[name] = final
         return copy
@@ -268,25 +936,135 @@ export class IPLDURLSystem {
     }
   }
 
+  // Patch a property's value through its parameters and get back its raw form
+  // Linked values that got wrapped in an ADL get saved back behind a link
+  async #applyPatchWithin (existing, parameters, segments, operation, parents) {
+    const wrapped = await this.#applyParameters(existing, parameters)
+    const updated = await this.#applyPatch(wrapped, segments, operation, parents)
+
+    const asCID = asLink(existing)
+    if (asCID && (wrapped !== existing)) {
+      return this.#saveLike(updated, asCID)
+    }
+
+    // Representation views get written back in the typed form their parent expects
+    const representationOf = wrapped?.[REPRESENTATION_OF]
+    if (representationOf) {
+      return toTypedView(updated, this, representationOf)
+    }
+
+    if (updated[SUBSTRATE]) {
+      return updated[SUBSTRATE]()
+    }
+    return updated
+  }
+
+  // Save a modified node using the same codec as the CID it was loaded from
+  async #saveLike (modified, cid) {
+    const codec = this.getCodec(cid)
+
+    let toSave = modified
+    if (modified[SUBSTRATE]) {
+      toSave = await toSave[SUBSTRATE]()
+    }
+    if (codec.prepare) {
+      toSave = codec.prepare(toSave)
+    }
+
+    return this.saveNode(toSave, { encoding: codec.name })
+  }
+
+  getCodec (cid) {
+    const codec = this.codecs.get(cid.code)
+    if (!codec) {
+      const known = [...this.codecs.values()].map(({ name }) => name).join(', ')
+      throw new Error(`Unknown codec 0x${cid.code.toString(16)}. Must be one of ${known}`)
+    }
+    return codec
+  }
+
   getCidEncoding (cid) {
-    const code = cid.code
-    if (code === 0x71) return 'dag-cbor'
-    if (code === 0x0129) return 'dag-json'
-    throw new Error('Unknown codec, only dag-cobor and dag-json supported for patch')
+    return this.getCodec(cid).name
   }
 }
 
-function makeEqual (value) {
-  return (node, name) => {
-    // TODO: Account for deep equals of arrays/links/objects
-    const currentValue = node[name]
-    if (currentValue !== value) throw new Error(`Test failed, ${name} expected to be ${value}, instead got ${node[name]}`)
+function makeEqual (value, path) {
+  return async (node, name) => {
+    const currentValue = await node[name]
+    if (!isDeepEqual(currentValue, value)) {
+      const expectedView = describeValue(value)
+      const actualView = describeValue(currentValue)
+      throw new Error(`Test failed at ${path}\nExpected: ${expectedView}\nActual: ${actualView}`)
+    }
     return node
   }
 }
 
+// Merge patch values that replace a whole value shouldn't keep the keys meant for removal
+function withoutNulls (value) {
+  if (!isMap(value)) return value
+  const result = {}
+  for (const [key, entry] of Object.entries(value)) {
+    if (entry !== null) result[key] = withoutNulls(entry)
+  }
+  return result
+}
+
+// Stands in for values that aren't in a map or list while merging
+const MISSING = Symbol('missing')
+
+function orUndefined (value) {
+  return (value === MISSING) ? undefined : value
+}
+
+// ADL views aren't links, and checking would send probes to their `get` hook
+function asLink (value) {
+  if (isADLView(value)) return null
+  return CID.asCID(value)
+}
+
+function isMap (value) {
+  if (!value || (typeof value !== 'object')) return false
+  if (Array.isArray(value) || (value instanceof Uint8Array)) return false
+  return !asLink(value)
+}
+
+// Compares values using the IPLD data model rather than JS identity
+function isDeepEqual (a, b) {
+  if (a === b) return true
+
+  const aCID = asLink(a)
+  const bCID = asLink(b)
+  if (aCID || bCID) {
+    return !!(aCID && bCID && aCID.equals(bCID))
+  }
+
+  if ((a instanceof Uint8Array) || (b instanceof Uint8Array)) {
+    if (!(a instanceof Uint8Array) || !(b instanceof Uint8Array)) return false
+    if (a.length !== b.length) return false
+    return a.every((byte, index) => byte === b[index])
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b)) return false
+    if (a.length !== b.length) return false
+    return a.every((item, index) => isDeepEqual(item, b[index]))
+  }
+
+  if (a && b && (typeof a === 'object') && (typeof b === 'object')) {
+    const aKeys = Object.keys(a)
+    const bKeys = Object.keys(b)
+    if (aKeys.length !== bKeys.length) return false
+    // Maps are compared without caring about key order
+    return aKeys.every((key) => (key in b) && isDeepEqual(a[key], b[key]))
+  }
+
+  return false
+}
+
 function makeAdd (value) {
   return (node, name) => {
+    if (node[SET]) return node[SET](name, value)
     // Detect list and insert
     if (Array.isArray(node)) {
       const copy = node.slice()
@@ -305,6 +1083,7 @@ function makeAdd (value) {
 
 function makeRemove () {
   return (node, name) => {
+    if (node[DELETE]) return node[DELETE](name)
     if (!(name in node)) throw new Error(`Cannot remove. Missing property ${name} in value ${node}`)
     if (Array.isArray(node)) {
       const copy = node.slice()
@@ -319,6 +1098,7 @@ function makeRemove () {
 }
 function makeReplace (value) {
   return (node, name) => {
+    if (node[SET]) return node[SET](name, value, { replace: true })
     if (!(name in node)) throw new Error(`Cannot replace. Missing property ${name} in value ${node}`)
     if (Array.isArray(node)) {
       const copy = node.slice()
@@ -331,12 +1111,132 @@ function makeReplace (value) {
   }
 }
 
+// Strings and URL objects that parse as IPLD URLs, or null
+function asIPLDURL (value) {
+  const href = (value instanceof URL) ? value.href : value
+  if ((typeof href !== 'string') || !href.startsWith('ipld://')) return null
+  try {
+    return new IPLDURL(href)
+  } catch {
+    return null
+  }
+}
+
+// ADLs may provide their own async iterator of `[key, value]` entries
+async function * entriesOf (data) {
+  if (data && data[Symbol.asyncIterator]) {
+    yield * data
+  } else if (Array.isArray(data)) {
+    for (let index = 0; index < data.length; index++) {
+      yield [index, data[index]]
+    }
+  } else if (data && (typeof data === 'object') && !asLink(data) && !(data instanceof Uint8Array)) {
+    for (const key of Object.keys(data)) {
+      yield [key, data[key]]
+    }
+  } else {
+    throw new TypeError('Can only iterate over lists, maps, or ADLs with an async iterator')
+  }
+}
+
+// Replace every link within a node, children get mapped one at a time
+async function mapLinks (data, mapper) {
+  const asCID = asLink(data)
+  if (asCID) return mapper(asCID)
+  if (data instanceof Uint8Array) return data
+
+  if (Array.isArray(data)) {
+    const mapped = []
+    for (const item of data) {
+      mapped.push(await mapLinks(item, mapper))
+    }
+    return mapped
+  }
+
+  if (data && typeof data === 'object') {
+    const mapped = {}
+    for (const [key, value] of Object.entries(data)) {
+      mapped[key] = await mapLinks(value, mapper)
+    }
+    return mapped
+  }
+
+  return data
+}
+
 function patchPathToSegments (path) {
   if (path.startsWith('/')) return patchPathToSegments(path.slice(1))
   if (path.endsWith('/')) return patchPathToSegments(path.slice(0, -1))
-  return path.split('/').map((name) => {
-    return { name }
+  // Segments may have parameters like in URLs, e.g. `/Goodbye;view=representation/0`
+  // Only parameters the system applies get read, any other `;` is part of the key
+  return path.split('/').map((segment) => {
+    const [name, ...parameters] = segment.split(PARAMETER_SEPARATOR)
+    if (!parameters.length || !parameters.every(isPatchParameter)) {
+      return { name: decodePathKey(segment) }
+    }
+    return { name: decodePathKey(name), parameters: new IPLDURLParameters(parameters) }
+  })
+}
+
+const PATCH_PARAMETERS = ['schema', 'type', 'migrateTo', 'adl', 'view']
+
+function isPatchParameter (parameter) {
+  const [key, ...value] = parameter.split(PARAMETER_EQUALS)
+  return (value.length > 0) && PATCH_PARAMETERS.includes(key)
+}
+
+// Patch paths are JSON Pointers, so keys escape `~` as `~0` and `/` as `~1`
+const POINTER_ESCAPES = { '~': '~0', '/': '~1' }
+const POINTER_UNESCAPES = { '~0': '~', '~1': '/' }
+
+function encodePathKey (key) {
+  return String(key).replace(/[~/]/g, (character) => POINTER_ESCAPES[character])
+}
+
+function decodePathKey (name) {
+  return name.replace(/~[01]/g, (escaped) => POINTER_UNESCAPES[escaped])
+}
+
+// Resolve a URL using only the blocks within a proof from `resolve(url, { withProof: true })`
+// Throws if the proof doesn't start at the root or any block doesn't match its CID
+export async function verifyProof (url, proof, {
+  resolveFinalCID = true,
+  followURLs = false,
+  maxHops,
+  ...options
+} = {}) {
+  const { cid: root } = new IPLDURL(url)
+
+  const firstCID = CID.asCID(proof[0]?.cid)
+  if (!firstCID || !root.equals(firstCID)) {
+    throw new Error(`Proof must start with the root ${root}`)
+  }
+
+  const blocks = new Map()
+
+  const system = new IPLDURLSystem({
+    ...options,
+    getNode: async (cid) => {
+      const key = cid.toString()
+      if (!blocks.has(key)) throw new Error(`Block ${key} missing from proof`)
+      return blocks.get(key)
+    },
+    saveNode: async () => {
+      throw new Error('Cannot save nodes while verifying a proof')
+    }
   })
+
+  for (const { cid: rawCID, bytes } of proof) {
+    const cid = CID.asCID(rawCID)
+    await verifyBlock(cid, bytes)
+    const codec = system.getCodec(cid)
+    if (!codec.decode) {
+      throw new Error(`Cannot verify proof, codec ${codec.name} has no decode function`)
+    }
+    blocks.set(cid.toString(), codec.decode(bytes))
+  }
+
+  return system.resolve(url, { resolveFinalCID, followURLs, maxHops })
 }
 
 export async function SchemaADL (node, { schema, type }, system) {
@@ -346,90 +1246,288 @@ export async function SchemaADL (node, { schema, type }, system) {
 
   const schemaCID = CID.parse(schema, system.cidBases)
   const schemaDMT = await system.getNode(schemaCID)
-  const converted = makeTyped(node, schemaDMT, type, system)
+  const converted = makeTyped(node, schemaCID, schemaDMT, type, system)
 
   return converted
 }
 
-function makeTyped (node, schemaDMT, type, system) {
-  const typedSchema = createTyped(schemaDMT, type)
-  const converted = typedSchema.toTyped(node)
+// Present data typed with one schema as another using the rules from `addMigration()`
+// Changes get written back in the representation of the schema the data came from
+export async function MigrationLens (data, { schema, type, migrateTo }, system) {
+  if (!schema || !type) {
+    throw new TypeError('Must specify the schema and type to migrate from')
+  }
+
+  const migration = system.getMigration(schema, migrateTo)
+  if (!migration) {
+    throw new Error(`No migration registered from ${schema} to ${migrateTo}`)
+  }
+
+  const fromCID = CID.parse(schema, system.cidBases)
+  const toCID = CID.parse(migrateTo, system.cidBases)
+  const fromDMT = await system.getNode(fromCID)
+  const toDMT = await system.getNode(toCID)
+  const toType = migration.types?.[type]?.type ?? type
+
+  const migrated = migrateForward(data, type, fromDMT, migration)
+  const representation = system.getTypedSchema(toCID, toDMT, toType).toRepresentation(migrated)
+  if (representation === undefined) {
+    throw new Error(`Migrated data did not match schema\nData: ${printify(migrated)}\nSchema: ${toDSL(toDMT)}`)
+  }
+
+  // Linked nodes are still in the old schema, so they get migrated as they're loaded
+  const migrateLink = (value, expectedType) => {
+    const asCID = CID.asCID(value)
+    const linkedType = migratedFrom(expectedType, fromDMT, migration)
+    if (!asCID || !linkedType) return value
+
+    return lens(asCID, (node) => {
+      const typed = makeTyped(node, fromCID, fromDMT, linkedType, system)
+      return MigrationLens(typed, { schema, type: linkedType, migrateTo }, system)
+    })
+  }
+
+  const converted = makeTyped(representation, toCID, toDMT, toType, system, migrateLink)
+  const fromSchema = system.getTypedSchema(fromCID, fromDMT, type)
 
   converted[SUBSTRATE] = function getSubstrate () {
-    const rawForm = typedSchema.toRepresentation(this)
+    const original = migrateBackward(this, type, fromDMT, migration)
+    const rawForm = fromSchema.toRepresentation(original)
+    if (rawForm === undefined) {
+      throw new Error(`Data can't be migrated back\nData: ${printify(original)}\nSchema: ${toDSL(fromDMT)}`)
+    }
     return rawForm
   }
 
+  return converted
+}
+
+// Find which type in the old schema migrates into a type of the new schema
+function migratedFrom (type, fromDMT, migration) {
+  if (typeof type !== 'string') return null
+  return Object.keys(fromDMT.types).find((name) => (migration.types?.[name]?.type ?? name) === type) ?? null
+}
+
+// Links get lensed to their expected type unless `lensLink(value, expectedType)` says otherwise
+function makeTyped (node, schemaCID, schemaDMT, type, system, lensLink = null) {
+  const typedSchema = system.getTypedSchema(schemaCID, schemaDMT, type)
+  let converted = typedSchema.toTyped(node)
+
   if (!converted) {
     const dataView = printify(node)
     const schemaDSL = toDSL(schemaDMT)
     throw new Error(`Data did not match schema\nData: ${dataView}\nSchema: ${schemaDSL}`)
   }
 
+  // Scalars like strings and bytes can't contain links, so they stay as they are
+  if (!isMap(converted) && !Array.isArray(converted)) return converted
+
+  // Avoid tagging the original node since it may be shared via the cache
+  if (converted === node) {
+    converted = Array.isArray(node) ? node.slice() : { ...node }
+  }
+
+  converted[SUBSTRATE] = function getSubstrate () {
+    const rawForm = typedSchema.toRepresentation(this)
+    return rawForm
+  }
+
   const typeDMT = schemaDMT.types[type]
 
-  // TODO: Account for union types and deeply nested links in structs
-  if (typeDMT.struct) {
-    const trapped = new Proxy(converted, {
-      get (target, property) {
-        const value = target[property]
-        const propertySchema = typeDMT.struct.fields[property]
-        const expectedType = propertySchema?.type?.link?.expectedType
-        if (!expectedType) return value
-        const asCID = CID.asCID(value)
-        if (!asCID) return value
-
-        asCID[ADD_LENS] = (node) => {
-          return makeTyped(node, schemaDMT, expectedType, system)
-        }
+  return lensLinks(converted, schemaCID, schemaDMT, typeDMT, system, lensLink)
+}
+
+// Lets patches find out which type a typed node has
+const SCHEMA_TYPE = Symbol('ipld.schema_type')
+
+// Wrap an already typed value so that links within it get lensed to their expected type
+// This recurses into nested structs, maps, lists and unions as their properties get accessed
+function lensLinks (converted, schemaCID, schemaDMT, typeDMT, system, lensLink = null) {
+  // Scalars like bytes can't contain links, and typed arrays break when proxied
+  if (!isMap(converted) && !Array.isArray(converted)) return converted
+  if (!canContainLinks(typeDMT)) return converted
+
+  const trapped = new Proxy(converted, {
+    get (target, property) {
+      if (property === SCHEMA_TYPE) return { schemaCID, schemaDMT, typeDMT }
 
-        return asCID
+      const value = target[property]
+      if (typeof property === 'symbol') return value
+
+      const propertyType = resolveTypeDMT(getPropertyType(typeDMT, property), schemaDMT)
+      if (!propertyType) return value
+
+      const expectedType = propertyType.link?.expectedType
+      if (expectedType) {
+        if (lensLink) return lensLink(value, expectedType)
+        return addLens(value, schemaCID, schemaDMT, expectedType, system)
       }
-    })
-    return trapped
+
+      return lensLinks(value, schemaCID, schemaDMT, propertyType, system, lensLink)
+    }
+  })
+
+  return trapped
+}
+
+// Only recursive kinds can have links within them
+function canContainLinks (typeDMT) {
+  return Boolean(typeDMT && (typeDMT.struct || typeDMT.map || typeDMT.list || typeDMT.union))
+}
+
+function getPropertyType (typeDMT, property) {
+  if (typeDMT.struct) {
+    return typeDMT.struct.fields[property]?.type
   } else if (typeDMT.map) {
-    let valueType = typeDMT.map.valueType
-    if (typeof valueType === 'string') {
-      valueType = schemaDMT.types[valueType]
-    }
-    if (valueType?.link?.expectedType) {
-      const expectedType = valueType.link.expectedType
-      const trapped = new Proxy(converted, {
-        get (target, property) {
-          const value = target[property]
-          const asCID = CID.asCID(value)
-          if (!asCID) return value
-
-          asCID[ADD_LENS] = (node) => {
-            return makeTyped(node, schemaDMT, expectedType, system)
-          }
-
-          return asCID
-        }
+    return typeDMT.map.valueType
+  } else if (typeDMT.list) {
+    return typeDMT.list.valueType
+  } else if (typeDMT.union) {
+    // Typed unions are always a single key of the member type name
+    // Regardless of whether they're keyed, kinded, inline, envelope, etc
+    if (typeDMT.union.members.includes(property)) return property
+  }
+  return null
+}
+
+// Check the value a patch wrote into a typed node against the type it's meant to have
+function validateWrite (modified, name, schemaType, path, system) {
+  const { schemaDMT, typeDMT } = schemaType
+  if (typeDMT.struct) {
+    const field = typeDMT.struct.fields[name]
+    if (!field) {
+      throw new SchemaValidationError(`Field ${name} is not in the struct`, {
+        path: formatPath(path),
+        expected: describeType(typeDMT, schemaDMT),
+        value: modified[name]
       })
-      return trapped
     }
-  } else if (typeDMT.list) {
-    let valueType = typeDMT.map.valueType
-    if (typeof valueType === 'string') {
-      valueType = schemaDMT.types[valueType]
-    }
-    if (valueType?.link?.expectedType) {
-      const expectedType = valueType.link.expectedType
-      const trapped = new Proxy(converted, {
-        get (target, property) {
-          const value = target[property]
-          const asCID = CID.asCID(value)
-          if (!asCID) return value
-
-          asCID[ADD_LENS] = (node) => {
-            return makeTyped(node, schemaDMT, expectedType, system)
-          }
-        }
+    if (!(name in modified)) {
+      if (field.optional) return
+      throw new SchemaValidationError(`Cannot remove required field ${name}`, {
+        path: formatPath(path),
+        expected: describeType(field.type, schemaDMT),
+        value: undefined
       })
-      return trapped
     }
+    if ((modified[name] === null) && field.nullable) return
+    return validateValue(modified[name], field.type, schemaType, path, system)
   }
 
-  return converted
+  if (typeDMT.map) {
+    if (!(name in modified)) return
+    return validateValue(modified[name], typeDMT.map.valueType, schemaType, path, system)
+  }
+
+  if (typeDMT.list) {
+    const index = (name === '-') ? modified.length - 1 : parseInt(name, 10)
+    if (!(index in modified)) return
+    return validateValue(modified[index], typeDMT.list.valueType, schemaType, path, system)
+  }
+
+  // Unions and other kinds get checked as a whole
+  return validateValue(modified, typeDMT, schemaType, path.slice(0, -1), system)
+}
+
+function validateValue (value, type, schemaType, path, system) {
+  const { schemaDMT } = schemaType
+  const typedSchema = typedSchemaFor(type, schemaType, system)
+  if (typedSchema.toRepresentation(value) !== undefined) return
+
+  throw new SchemaValidationError('Value does not match the schema', {
+    path: formatPath(path),
+    expected: describeType(type, schemaDMT),
+    value
+  })
+}
+
+// DSL for a type on its own, or the name of built in types like `String`
+function describeType (type, schemaDMT) {
+  const typeName = findTypeName(type, schemaDMT)
+  if (typeName) {
+    const definition = schemaDMT.types[typeName]
+    if (!definition) return typeName
+    return toDSL({ types: { [typeName]: definition } }).trim()
+  }
+  return toDSL({ types: { [INLINE_TYPE]: type } })
+    .trim()
+    .replace(`type ${INLINE_TYPE} `, '')
+}
+
+// Inline types need a name to be used on their own
+const INLINE_TYPE = 'InlineType'
+
+// Named types get compiled once per schema, inline ones get compiled each time
+function typedSchemaFor (type, { schemaCID, schemaDMT }, system) {
+  const typeName = findTypeName(type, schemaDMT)
+  if (typeName) return system.getTypedSchema(schemaCID, schemaDMT, typeName)
+  return createTyped({ types: { ...schemaDMT.types, [INLINE_TYPE]: type } }, INLINE_TYPE)
+}
+
+// Definitions from within the schema can be referred to by their name
+function findTypeName (type, schemaDMT) {
+  if (typeof type === 'string') return type
+  const named = Object.entries(schemaDMT.types).find(([, definition]) => definition === type)
+  return named ? named[0] : null
+}
+
+// Marks representation views with the type they came from so they can be switched back
+const REPRESENTATION_OF = Symbol('ipld.representation_of')
+
+function toRepresentationView (data, system) {
+  const schemaType = data?.[SCHEMA_TYPE]
+  if (!schemaType) return data
+
+  const { typeDMT } = schemaType
+  const representation = typedSchemaFor(typeDMT, schemaType, system).toRepresentation(data)
+  if (!representation || (typeof representation !== 'object') || CID.asCID(representation)) {
+    return representation
+  }
+
+  const view = Array.isArray(representation) ? representation.slice() : { ...representation }
+  view[REPRESENTATION_OF] = schemaType
+  return view
+}
+
+// Data that isn't a representation view is already in its typed form
+function toTypedView (data, system, schemaType = data?.[REPRESENTATION_OF]) {
+  if (!schemaType) return data
+
+  const { schemaCID, schemaDMT, typeDMT } = schemaType
+  const typedSchema = typedSchemaFor(typeDMT, schemaType, system)
+  let converted = typedSchema.toTyped(data)
+
+  if (!converted) {
+    throw new Error(`Data did not match schema\nData: ${printify(data)}\nSchema: ${describeType(typeDMT, schemaDMT)}`)
+  }
+
+  if (converted === data) {
+    converted = Array.isArray(data) ? data.slice() : { ...data }
+    delete converted[REPRESENTATION_OF]
+  }
+
+  converted[SUBSTRATE] = function getSubstrate () {
+    return typedSchema.toRepresentation(this)
+  }
+
+  return lensLinks(converted, schemaCID, schemaDMT, typeDMT, system)
+}
+
+function formatPath (path) {
+  return '/' + path.join('/')
+}
+
+// Types may either be inline definitions or names within the schema
+function resolveTypeDMT (type, schemaDMT) {
+  if (typeof type === 'string') return schemaDMT.types[type]
+  return type
+}
+
+function addLens (value, schemaCID, schemaDMT, expectedType, system) {
+  const asCID = CID.asCID(value)
+  if (!asCID) return value
+
+  return lens(asCID, (node) => {
+    return makeTyped(node, schemaCID, schemaDMT, expectedType, system)
+  })
 }
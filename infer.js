@@ -0,0 +1,259 @@
+import { CID } from 'multiformats/cid'
+
+// Derive an IPLD Schema DMT from sample data
+// Maps with keys that can be field names become structs, fields that aren't always there are optional
+// Positions that hold more than one kind of value become kinded unions
+// Positions without any samples, like the items of empty lists, use `any`
+
+export const DEFAULT_INFER_DEPTH = 3
+export const DEFAULT_SAMPLE_SIZE = 10
+export const ROOT_TYPE = 'Root'
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Scalar kinds in the order they get listed within unions
+const SCALAR_KINDS = new Map([
+  ['bool', 'Bool'],
+  ['int', 'Int'],
+  ['float', 'Float'],
+  ['string', 'String'],
+  ['bytes', 'Bytes']
+])
+
+// Link members are named `Link` and the type they point to gets named `Target`
+const KIND_SUFFIXES = { map: 'Map', list: 'List', link: 'Target' }
+
+// Follows links up to `depth` levels deep and samples the first `sampleSize` entries of lists and maps
+export async function inferSchema (data, system, {
+  depth = DEFAULT_INFER_DEPTH,
+  sampleSize = DEFAULT_SAMPLE_SIZE
+} = {}) {
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new RangeError(`Invalid depth ${depth}, must be a positive integer`)
+  }
+  if (!Number.isInteger(sampleSize) || sampleSize < 1) {
+    throw new RangeError(`Invalid sampleSize ${sampleSize}, must be at least 1`)
+  }
+
+  const shape = emptyShape()
+  await sample(data, shape, depth, { system, sampleSize })
+
+  const types = {}
+  const { type } = toType(shape, ROOT_TYPE, types, false)
+
+  // Scalar roots still need a named type to be used with the `type` parameter
+  if (type !== ROOT_TYPE) {
+    types[ROOT_TYPE] = aliasFor(type)
+  }
+
+  return { types }
+}
+
+// Shapes accumulate what kinds of values were seen at a position
+function emptyShape () {
+  return {
+    null: false,
+    scalars: new Set(),
+    link: null,
+    list: null,
+    object: null
+  }
+}
+
+async function sample (input, shape, depth, context) {
+  // ADLs may return promises for properties
+  const value = await input
+
+  if (value === undefined) return
+  if (value === null) {
+    shape.null = true
+    return
+  }
+
+  const asCID = CID.asCID(value)
+  if (asCID) {
+    if (!shape.link) shape.link = { target: null }
+    if (depth <= 0) return
+
+    if (!shape.link.target) shape.link.target = emptyShape()
+    const node = await context.system.getNode(asCID)
+    await sample(node, shape.link.target, depth - 1, context)
+    return
+  }
+
+  if (value instanceof Uint8Array) {
+    shape.scalars.add('bytes')
+  } else if (typeof value === 'boolean') {
+    shape.scalars.add('bool')
+  } else if (typeof value === 'string') {
+    shape.scalars.add('string')
+  } else if (typeof value === 'number') {
+    shape.scalars.add(Number.isInteger(value) ? 'int' : 'float')
+  } else if (Array.isArray(value)) {
+    if (!shape.list) shape.list = emptyShape()
+    for (const item of value.slice(0, context.sampleSize)) {
+      await sample(item, shape.list, depth, context)
+    }
+  } else if (typeof value === 'object') {
+    if (!shape.object) shape.object = { count: 0, fields: new Map(), mapLike: false }
+    const { object } = shape
+    object.count++
+
+    let keys = Object.keys(value)
+    if (!keys.every((key) => FIELD_NAME.test(key))) object.mapLike = true
+    // Structs need every field, but maps only need a sample of their values
+    if (object.mapLike) keys = keys.slice(0, context.sampleSize)
+
+    for (const key of keys) {
+      if (!object.fields.has(key)) object.fields.set(key, { shape: emptyShape(), count: 0 })
+      const field = object.fields.get(key)
+      field.count++
+      await sample(value[key], field.shape, depth, context)
+    }
+  } else {
+    throw new TypeError(`Cannot infer a schema for ${typeof value} values`)
+  }
+}
+
+function mergeShapes (a, b) {
+  return {
+    null: a.null || b.null,
+    scalars: new Set([...a.scalars, ...b.scalars]),
+    link: mergeOptional(a.link, b.link, (x, y) => ({ target: mergeOptional(x.target, y.target, mergeShapes) })),
+    list: mergeOptional(a.list, b.list, mergeShapes),
+    object: mergeOptional(a.object, b.object, mergeObjects)
+  }
+}
+
+function mergeObjects (a, b) {
+  const fields = new Map(a.fields)
+  for (const [key, field] of b.fields) {
+    if (!fields.has(key)) {
+      fields.set(key, field)
+    } else {
+      const existing = fields.get(key)
+      fields.set(key, { shape: mergeShapes(existing.shape, field.shape), count: existing.count + field.count })
+    }
+  }
+  return { count: a.count + b.count, fields, mapLike: a.mapLike || b.mapLike }
+}
+
+function mergeOptional (a, b, merge) {
+  if (!a) return b
+  if (!b) return a
+  return merge(a, b)
+}
+
+// Get the type to refer to a shape by, defining any named types it needs in `types`
+// Positions that can be marked `nullable` get `nullable: true`, others get null as a union member
+function toType (shape, name, types, canBeNullable) {
+  const kinds = shapeKinds(shape)
+  const nullable = shape.null && canBeNullable && (kinds.length > 0)
+  if (shape.null && !nullable) kinds.push('null')
+
+  if (!kinds.length) return { type: 'any', nullable: false }
+  if (kinds.length === 1) return { type: kindType(shape, kinds[0], name, types), nullable }
+
+  const unionName = reserveName(types, name)
+  const members = []
+  const kinded = {}
+  for (const kind of kinds) {
+    const type = kindType(shape, kind, `${unionName}${KIND_SUFFIXES[kind] || ''}`, types)
+    const member = named(type, `${unionName}Link`, types)
+    members.push(member)
+    kinded[kind] = member
+  }
+
+  types[unionName] = { union: { members, representation: { kinded } } }
+  return { type: unionName, nullable }
+}
+
+function shapeKinds ({ scalars, object, list, link }) {
+  // Floats can hold integers, so there's no need for both
+  const kinds = [...SCALAR_KINDS.keys()]
+    .filter((kind) => scalars.has(kind) && !((kind === 'int') && scalars.has('float')))
+  if (object) kinds.push('map')
+  if (list) kinds.push('list')
+  if (link) kinds.push('link')
+  return kinds
+}
+
+function kindType (shape, kind, name, types) {
+  if (SCALAR_KINDS.has(kind)) return SCALAR_KINDS.get(kind)
+  if (kind === 'null') return 'Null'
+  if (kind === 'link') return linkType(shape.link, name, types)
+  if (kind === 'list') return listType(shape.list, name, types)
+  return objectType(shape.object, name, types)
+}
+
+function linkType ({ target }, name, types) {
+  if (!target) return 'Link'
+  const { type } = toType(target, name, types, false)
+  if (type === 'any') return 'Link'
+  return { link: { expectedType: named(type, name, types) } }
+}
+
+function listType (items, name, types) {
+  const listName = reserveName(types, name)
+  const { type, nullable } = toType(items, `${listName}Item`, types, true)
+  types[listName] = { list: withNullable({ valueType: type }, 'valueNullable', nullable) }
+  return listName
+}
+
+function objectType (object, name, types) {
+  const typeName = reserveName(types, name)
+
+  if (object.mapLike) {
+    const values = [...object.fields.values()]
+      .map(({ shape }) => shape)
+      .reduce(mergeShapes, emptyShape())
+    const { type, nullable } = toType(values, `${typeName}Value`, types, true)
+    types[typeName] = { map: withNullable({ keyType: 'String', valueType: type }, 'valueNullable', nullable) }
+    return typeName
+  }
+
+  const fields = {}
+  for (const [key, { shape, count }] of object.fields) {
+    const optional = count < object.count
+    // The DSL can't express fields that are both optional and nullable, so null becomes a union member instead
+    const { type, nullable } = toType(shape, `${typeName}${capitalize(key)}`, types, !optional)
+    const field = { type }
+    if (optional) field.optional = true
+    fields[key] = withNullable(field, 'nullable', nullable)
+  }
+
+  types[typeName] = { struct: { fields, representation: { map: {} } } }
+  return typeName
+}
+
+function withNullable (definition, key, nullable) {
+  if (nullable) definition[key] = true
+  return definition
+}
+
+// Inline types like links need a name to be union members or link targets
+function named (type, name, types) {
+  if (typeof type === 'string') return type
+  const typeName = reserveName(types, name)
+  types[typeName] = type
+  return typeName
+}
+
+function aliasFor (type) {
+  if (typeof type !== 'string') return type
+  return { [type.toLowerCase()]: {} }
+}
+
+// Claim a name before defining the type so that nested types come after it
+function reserveName (types, name) {
+  let typeName = name
+  for (let count = 2; typeName in types; count++) {
+    typeName = `${name}${count}`
+  }
+  types[typeName] = null
+  return typeName
+}
+
+function capitalize (name) {
+  return name[0].toUpperCase() + name.slice(1)
+}
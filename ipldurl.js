@@ -41,6 +41,11 @@ export class IPLDURL extends URL {
     this.hostname = cid.toString() + parameters.toString()
   }
 
+  // The raw root of the URL, which is either a CID or a name to be resolved
+  get root () {
+    return this.hostname.split(PARAMETER_SEPARATOR)[0]
+  }
+
   get cid () {
     const raw = this.hostname.split(PARAMETER_SEPARATOR)[0]
     return CID.parse(raw, DEFAULT_CID_BASES).toV1()
@@ -245,6 +250,14 @@ export class IPLDURLSegment {
   }
 }
 
+// Parameters like `start=10` must be plain digits, so `1.5`, `-1` and `abc` get rejected
+export function integerParameter (parameters, name, defaultValue) {
+  const value = parameters?.get(name)
+  if ((value === undefined) || (value === null)) return defaultValue
+  if (!/^\d+$/.test(value)) throw new TypeError(`The ${name} parameter must be a non-negative integer`)
+  return parseInt(value, 10)
+}
+
 function encode (string) {
   return encodeURIComponent(string)
     .replace(PARAMETER_SEPARATOR_REGEX, ENCODED_SEPARATOR)
@@ -0,0 +1,101 @@
+import { CID } from 'multiformats/cid'
+
+// Rules for moving data between two versions of a schema
+// `types` is keyed by type names from the old schema, each with optional:
+// - `type` the name of the type in the new schema, defaults to the same name
+// - `rename` maps old field names to new ones
+// - `defaults` has values for new fields that old data doesn't have
+// - `coerce` maps new field names to the kind to convert them to, one of String, Int, Float, Bool
+// Going back to the old schema renames fields back, coerces them to their old kind
+// and drops fields that the old schema doesn't have
+
+const COERCIONS = ['String', 'Int', 'Float', 'Bool']
+const KIND_NAMES = { string: 'String', int: 'Int', float: 'Float', bool: 'Bool' }
+
+// Turn data typed with the old schema into the shape of the new schema
+export function migrateForward (value, type, schemaDMT, migration) {
+  return migrateValue(value, type, schemaDMT, migration, false)
+}
+
+// Turn data in the shape of the new schema back into data typed with the old schema
+export function migrateBackward (value, type, schemaDMT, migration) {
+  return migrateValue(value, type, schemaDMT, migration, true)
+}
+
+function migrateValue (value, type, schemaDMT, migration, backward) {
+  if ((value === null) || (value === undefined) || CID.asCID(value)) return value
+
+  const typeName = (typeof type === 'string') ? type : null
+  const typeDMT = typeName ? schemaDMT.types[typeName] : type
+  // Built in types like `String` don't have anything to migrate
+  if (!typeDMT) return value
+
+  if (typeDMT.struct) {
+    const rules = migration.types?.[typeName] || {}
+    return migrateStruct(value, typeDMT.struct, rules, schemaDMT, migration, backward)
+  } else if (typeDMT.list && Array.isArray(value)) {
+    return value.map((item) => migrateValue(item, typeDMT.list.valueType, schemaDMT, migration, backward))
+  } else if (typeDMT.map && (typeof value === 'object')) {
+    const migrated = {}
+    for (const [key, entry] of Object.entries(value)) {
+      migrated[key] = migrateValue(entry, typeDMT.map.valueType, schemaDMT, migration, backward)
+    }
+    return migrated
+  }
+
+  return value
+}
+
+function migrateStruct (value, { fields }, rules, schemaDMT, migration, backward) {
+  const { rename = {}, defaults = {}, coerce = {} } = rules
+
+  const migrated = {}
+  for (const [oldName, { type }] of Object.entries(fields)) {
+    const newName = rename[oldName] ?? oldName
+    const fieldValue = value[backward ? newName : oldName]
+    if (fieldValue === undefined) continue
+
+    let result = migrateValue(fieldValue, type, schemaDMT, migration, backward)
+    if (newName in coerce) {
+      const kind = backward ? kindOf(type, schemaDMT, oldName) : coerce[newName]
+      result = coerceTo(result, kind, newName)
+    }
+
+    migrated[backward ? oldName : newName] = result
+  }
+
+  if (!backward) {
+    for (const [name, defaultValue] of Object.entries(defaults)) {
+      if (!(name in migrated)) migrated[name] = defaultValue
+    }
+  }
+
+  return migrated
+}
+
+// Find which scalar kind a field had in the old schema so it can be coerced back
+function kindOf (type, schemaDMT, field) {
+  if (COERCIONS.includes(type)) return type
+  const typeDMT = (typeof type === 'string') ? schemaDMT.types[type] : type
+  const kind = KIND_NAMES[Object.keys(typeDMT || {})[0]]
+  if (!kind) throw new Error(`Cannot coerce ${field} back into ${JSON.stringify(type)}, must be a scalar type`)
+  return kind
+}
+
+function coerceTo (value, kind, field) {
+  if (kind === 'String') return String(value)
+  if (kind === 'Bool') {
+    if (typeof value === 'boolean') return value
+    if ((value === 'true') || (value === 'false')) return value === 'true'
+    if (typeof value === 'number') return value !== 0
+    throw new TypeError(`Cannot coerce ${field} value ${JSON.stringify(value)} to Bool`)
+  }
+  if ((kind === 'Int') || (kind === 'Float')) {
+    const number = (typeof value === 'boolean') ? Number(value) : Number.parseFloat(value)
+    if (!Number.isFinite(number)) {
+      throw new TypeError(`Cannot coerce ${field} value ${JSON.stringify(value)} to ${kind}`)
+    }
+    return (kind === 'Int') ? Math.trunc(number) : number
+  }
+  throw new Error(`Unknown coercion ${kind} for ${field}. Must be one of ${COERCIONS.join(', ')}`)
+}
@@ -0,0 +1,29 @@
+import { CID } from 'multiformats/cid'
+
+import { ConflictError } from './errors.js'
+
+// Keeps track of which CID each name points to, in memory
+// Any object with `resolve(name)` and `publish(name, cid, { expected })` methods can be used instead
+// Custom resolvers must honour `expected`, publishing only succeeds if the name still points to it
+// Otherwise they must throw a `ConflictError` so that concurrent patches don't overwrite each other
+export class MemoryNameResolver {
+  #names = new Map()
+
+  async resolve (name) {
+    if (!this.#names.has(name)) throw new Error(`Name ${name} not found`)
+    return this.#names.get(name)
+  }
+
+  async publish (name, cid, { expected = null } = {}) {
+    const asCID = CID.asCID(cid)
+    if (!asCID) throw new TypeError(`Can only publish CIDs to ${name}`)
+
+    const actual = this.#names.get(name) ?? null
+    if (expected && !(actual && actual.equals(expected))) {
+      throw new ConflictError(`Cannot publish to ${name}, expected ${expected} but found ${actual}`, { expected, actual })
+    }
+
+    this.#names.set(name, asCID)
+    return asCID
+  }
+}
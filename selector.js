@@ -0,0 +1,271 @@
+// Implements IPLD Selectors for matching many nodes within a DAG
+// https://ipld.io/specs/selectors/
+//
+// Selectors can be given in their DMT form, or in a compact string form for the `selector` parameter:
+// - `.` matches the current node
+// - `all(S)` explores every entry with S
+// - `fields(name~S,other~S)` explores the named fields, names may be quoted like `'some name'`
+// - `index(2,S)` explores a single list index
+// - `range(0,10,S)` explores list indexes from the start up to but not including the end
+// - `recursive(5,S)` repeats S up to 5 times wherever it reaches an `edge`, `*` for no limit
+// - `union(S,S)` explores with several selectors at once
+
+const FUNCTIONS = ['all', 'fields', 'index', 'range', 'recursive', 'union']
+const RESERVED = ['~', ',', '(', ')', "'"]
+
+// Turn the compact string form into the selector DMT
+export function parseSelector (string) {
+  let position = 0
+
+  function fail (expected) {
+    const found = position < string.length ? `"${string[position]}"` : 'the end'
+    throw new SyntaxError(`Invalid selector ${string}, expected ${expected} at ${position} but found ${found}`)
+  }
+
+  function skipSpace () {
+    while (/\s/.test(string[position] || '')) position++
+  }
+
+  function consume (character) {
+    skipSpace()
+    if (string[position] !== character) fail(`"${character}"`)
+    position++
+  }
+
+  function peek () {
+    skipSpace()
+    return string[position]
+  }
+
+  function readWord () {
+    skipSpace()
+    if (string[position] === "'") return readQuoted()
+    const start = position
+    while ((position < string.length) && !RESERVED.includes(string[position]) && !/\s/.test(string[position])) {
+      position++
+    }
+    if (start === position) fail('a name')
+    return string.slice(start, position)
+  }
+
+  // Quotes within quoted names get escaped by doubling them
+  function readQuoted () {
+    position++
+    let word = ''
+    while (true) {
+      if (position >= string.length) fail('"\'"')
+      if (string[position] === "'") {
+        if (string[position + 1] !== "'") break
+        position++
+      }
+      word += string[position++]
+    }
+    position++
+    return word
+  }
+
+  function readInteger () {
+    const word = readWord()
+    if (!/^\d+$/.test(word)) {
+      position -= word.length
+      fail('an integer')
+    }
+    return parseInt(word, 10)
+  }
+
+  function readList (readItem) {
+    const items = [readItem()]
+    while (peek() === ',') {
+      consume(',')
+      items.push(readItem())
+    }
+    return items
+  }
+
+  function readField () {
+    const name = readWord()
+    consume('~')
+    return [name, readSelector()]
+  }
+
+  function readSelector () {
+    const name = readWord()
+    if (name === '.') return { '.': {} }
+    if (name === 'edge') return { '@': {} }
+    if (!FUNCTIONS.includes(name)) {
+      position -= name.length
+      fail(`one of ., edge, ${FUNCTIONS.join(', ')}`)
+    }
+
+    consume('(')
+    let selector = null
+    if (name === 'all') {
+      selector = { a: { '>': readSelector() } }
+    } else if (name === 'fields') {
+      const fields = {}
+      for (const [field, next] of readList(readField)) {
+        fields[field] = next
+      }
+      selector = { f: { 'f>': fields } }
+    } else if (name === 'index') {
+      const index = readInteger()
+      consume(',')
+      selector = { i: { i: index, '>': readSelector() } }
+    } else if (name === 'range') {
+      const start = readInteger()
+      consume(',')
+      const end = readInteger()
+      consume(',')
+      selector = { r: { '^': start, $: end, '>': readSelector() } }
+    } else if (name === 'recursive') {
+      let limit = { none: {} }
+      if (peek() === '*') {
+        position++
+      } else {
+        limit = { depth: readInteger() }
+      }
+      consume(',')
+      selector = { R: { l: limit, ':>': readSelector() } }
+    } else {
+      selector = { '|': readList(readSelector) }
+    }
+    consume(')')
+    return selector
+  }
+
+  const selector = readSelector()
+  if (peek() !== undefined) fail('the end')
+  return selector
+}
+
+// Turn a selector DMT or string into the form used while matching
+export function compileSelector (selector) {
+  if (typeof selector === 'string') return compileSelector(parseSelector(selector))
+  if (!selector || (typeof selector !== 'object') || (Object.keys(selector).length !== 1)) {
+    throw new TypeError(`Invalid selector ${JSON.stringify(selector)}, must have a single kind`)
+  }
+
+  const [[kind, body]] = Object.entries(selector)
+  if (kind === '.') return { kind: 'matcher' }
+  if (kind === '@') return { kind: 'edge' }
+  if (kind === 'a') return { kind: 'all', next: compileSelector(body['>']) }
+  if (kind === 'f') {
+    const fields = new Map()
+    for (const [name, next] of Object.entries(body['f>'] || {})) {
+      fields.set(name, compileSelector(next))
+    }
+    return { kind: 'fields', fields }
+  }
+  if (kind === 'i') {
+    return { kind: 'index', index: checkInteger(body.i, 'index'), next: compileSelector(body['>']) }
+  }
+  if (kind === 'r') {
+    const start = checkInteger(body['^'], 'range start')
+    const end = checkInteger(body.$, 'range end')
+    return { kind: 'range', start, end, next: compileSelector(body['>']) }
+  }
+  if (kind === '|') {
+    if (!Array.isArray(body)) throw new TypeError('Invalid selector union, must be a list of selectors')
+    return { kind: 'union', members: body.map(compileSelector) }
+  }
+  if (kind === 'R') {
+    if (body['!']) throw new Error('Stop conditions in recursive selectors are not supported')
+    const { depth, none } = body.l || {}
+    if (!none && (depth === undefined)) throw new TypeError('Recursive selectors must have a depth or none limit')
+    const remaining = none ? Infinity : checkInteger(depth, 'recursion depth')
+    const sequence = compileSelector(body[':>'])
+    return { kind: 'recursive', sequence, current: sequence, remaining }
+  }
+
+  throw new TypeError(`Unknown selector kind ${kind}. Must be one of ., @, a, f, i, r, R, |`)
+}
+
+function checkInteger (value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError(`Invalid selector ${name} ${value}, must be a positive integer`)
+  }
+  return value
+}
+
+// Whether the current node should be yielded as a match
+export function matches (selector) {
+  if (selector.kind === 'matcher') return true
+  if (selector.kind === 'union') return selector.members.some(matches)
+  if (selector.kind === 'recursive') return matches(selector.current)
+  return false
+}
+
+// The only keys the selector could explore, or null if it could explore any key
+export function interests (selector) {
+  if (selector.kind === 'fields') return [...selector.fields.keys()]
+  if (selector.kind === 'index') return [selector.index]
+  if (selector.kind === 'recursive') return interests(selector.current)
+  if (selector.kind === 'union') {
+    const keys = []
+    for (const member of selector.members) {
+      const memberKeys = interests(member)
+      if (!memberKeys) return null
+      keys.push(...memberKeys)
+    }
+    return [...new Set(keys)]
+  }
+  if ((selector.kind === 'matcher') || (selector.kind === 'edge')) return []
+  return null
+}
+
+// The selector to apply to the entry at `key`, or null if it doesn't get explored
+export function explore (selector, key) {
+  const { kind } = selector
+  if (kind === 'all') return selector.next
+  if (kind === 'fields') return selector.fields.get(String(key)) ?? null
+  if (kind === 'index') return (Number(key) === selector.index) ? selector.next : null
+  if (kind === 'range') {
+    const index = Number(key)
+    return ((index >= selector.start) && (index < selector.end)) ? selector.next : null
+  }
+  if (kind === 'union') {
+    const members = selector.members
+      .map((member) => explore(member, key))
+      .filter((next) => next)
+    return unionOf(members)
+  }
+  if (kind === 'recursive') {
+    const next = explore(selector.current, key)
+    if (!next) return null
+    return continueRecursion(selector, next)
+  }
+  return null
+}
+
+// Edges start the sequence again until the recursion runs out
+function continueRecursion (recursive, next) {
+  if (!hasEdge(next)) return { ...recursive, current: next }
+
+  const remaining = recursive.remaining - 1
+  const restart = (remaining > 0) ? recursive.sequence : null
+  const current = replaceEdges(next, restart)
+  if (!current) return null
+  return { ...recursive, current, remaining }
+}
+
+function hasEdge (selector) {
+  if (selector.kind === 'edge') return true
+  if (selector.kind === 'union') return selector.members.some(hasEdge)
+  return false
+}
+
+function replaceEdges (selector, replacement) {
+  if (selector.kind === 'edge') return replacement
+  if (selector.kind === 'union') {
+    return unionOf(selector.members
+      .map((member) => replaceEdges(member, replacement))
+      .filter((member) => member))
+  }
+  return selector
+}
+
+function unionOf (members) {
+  if (!members.length) return null
+  if (members.length === 1) return members[0]
+  return { kind: 'union', members }
+}
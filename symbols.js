@@ -0,0 +1,10 @@
+// Use as method to get the "raw" form of a node that's been wrapped with an ADL
+export const SUBSTRATE = Symbol.for('ipld.substrate')
+
+// Use as a method to detect if a given CID should be wrapped with an ADL
+export const ADD_LENS = Symbol.for('ipld.add_lens')
+
+// Use as methods on ADL views to get a modified copy of the view during `patch()`
+// This is for views that can't be copied by spreading their properties
+export const SET = Symbol.for('ipld.set')
+export const DELETE = Symbol.for('ipld.delete')
@@ -0,0 +1,195 @@
+import { murmur364 } from '@multiformats/murmur3'
+import { UnixFS } from 'ipfs-unixfs'
+
+import { createADL, lens } from './adl.js'
+import { mask } from './hamt.js'
+import { concatBytes } from './bytes.js'
+
+// Implements reading UnixFS v1 trees from dag-pb nodes
+// https://github.com/ipfs/specs/blob/main/UNIXFS.md
+
+const DEFAULT_FANOUT = 256
+const FANOUT_FIELD = 6
+
+const textEncoder = new TextEncoder()
+
+// Directories become maps of entry names to links, which are also read as UnixFS
+// Files become objects with a `size` and a `read()` for streaming byte ranges
+export async function UnixFSADL (node, parameters, system) {
+  // Raw leaves are just the bytes of a file
+  if (node instanceof Uint8Array) return makeFile(node, node.length, system)
+
+  if (!node || !(node.Data instanceof Uint8Array) || !Array.isArray(node.Links)) {
+    throw new TypeError('Invalid UnixFS node, must be a dag-pb node with Data')
+  }
+
+  const unixfs = UnixFS.unmarshal(node.Data)
+
+  if (unixfs.type === 'directory') {
+    return makeDirectory(node, system)
+  }
+  if (unixfs.type === 'hamt-sharded-directory') {
+    return ShardedDirectoryADL(node, parameters, system)
+  }
+  if ((unixfs.type === 'file') || (unixfs.type === 'raw')) {
+    return makeFile(node, unixfs.fileSize(), system)
+  }
+
+  throw new Error(`Unsupported UnixFS type ${unixfs.type}. Must be a file or directory`)
+}
+
+function makeFile (node, size, system) {
+  return {
+    type: 'file',
+    size,
+    // Async iterable of Uint8Array chunks, only loads blocks that overlap the range
+    read ({ offset = 0, length = size - offset } = {}) {
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new RangeError(`Invalid offset ${offset}, must be a positive integer`)
+      }
+      if (!Number.isInteger(length) || length < 0) {
+        throw new RangeError(`Invalid length ${length}, must be a positive integer`)
+      }
+      const end = Math.min(offset + length, size)
+      return readRange(node, offset, end, system)
+    },
+    async bytes (options) {
+      const chunks = []
+      for await (const chunk of this.read(options)) {
+        chunks.push(chunk)
+      }
+      return concatBytes(chunks)
+    }
+  }
+}
+
+function makeDirectory (node, system) {
+  const entries = {}
+  for (const { Name, Hash } of node.Links) {
+    entries[Name] = lensUnixFS(Hash, system)
+  }
+  return entries
+}
+
+// Sharded directories prefix each link name with the hex index of its bucket
+// Links that are only a prefix point to a nested shard
+const ShardedDirectoryADL = createADL({
+  reify: (node) => ({ node, shard: getShard(readFanout(node.Data)) }),
+  toSubstrate: ({ node }) => node,
+  get: ({ node, shard }, name, { system }) => findInShard(node, name, shard, system),
+  entries: ({ node, shard }, { system }) => iterateShard(node, shard, system)
+})
+
+function getShard (fanout) {
+  return {
+    bitWidth: Math.log2(fanout),
+    padLength: (fanout - 1).toString(16).length
+  }
+}
+
+async function findInShard (node, name, shard, system) {
+  const { digest } = await murmur364.digest(textEncoder.encode(name))
+
+  let current = node
+  for (let depth = 0; depth * shard.bitWidth < digest.length * 8; depth++) {
+    const prefix = mask(digest, depth, shard.bitWidth)
+      .toString(16)
+      .toUpperCase()
+      .padStart(shard.padLength, '0')
+
+    const link = current.Links.find(({ Name }) => {
+      if (!Name.startsWith(prefix)) return false
+      return (Name.length === shard.padLength) || (Name.slice(shard.padLength) === name)
+    })
+
+    if (!link) return undefined
+    if (link.Name.length !== shard.padLength) return lensUnixFS(link.Hash, system)
+
+    current = await system.getNode(link.Hash)
+  }
+
+  return undefined
+}
+
+async function * iterateShard (node, shard, system) {
+  for (const { Name, Hash } of node.Links) {
+    if (Name.length === shard.padLength) {
+      const child = await system.getNode(Hash)
+      yield * iterateShard(child, shard, system)
+    } else {
+      yield [Name.slice(shard.padLength), lensUnixFS(Hash, system)]
+    }
+  }
+}
+
+async function * readRange (node, start, end, system) {
+  if (start >= end) return
+
+  if (node instanceof Uint8Array) {
+    yield node.subarray(start, end)
+    return
+  }
+
+  const { data, blockSizes } = UnixFS.unmarshal(node.Data)
+
+  let position = 0
+  if (data && data.length) {
+    if (start < data.length) yield data.subarray(start, Math.min(end, data.length))
+    position = data.length
+  }
+
+  for (let index = 0; index < node.Links.length; index++) {
+    const blockStart = position
+    const blockEnd = position + blockSizes[index]
+    position = blockEnd
+
+    if (blockEnd <= start) continue
+    if (blockStart >= end) break
+
+    const child = await system.getNode(node.Links[index].Hash)
+    yield * readRange(child, Math.max(start - blockStart, 0), Math.min(end, blockEnd) - blockStart, system)
+  }
+}
+
+// Entries of a directory get read as UnixFS when they're loaded
+function lensUnixFS (cid, system) {
+  return lens(cid, (node) => UnixFSADL(node, null, system))
+}
+
+// ipfs-unixfs doesn't decode the fanout, so we read it from the protobuf ourselves
+function readFanout (bytes) {
+  let offset = 0
+
+  function readVarint () {
+    let value = 0
+    let shift = 0
+    let byte = 0
+    do {
+      byte = bytes[offset++]
+      value += (byte & 0x7f) * Math.pow(2, shift)
+      shift += 7
+    } while (byte & 0x80)
+    return value
+  }
+
+  while (offset < bytes.length) {
+    const key = readVarint()
+    const field = key >> 3
+    const wireType = key & 0x7
+
+    if (wireType === 0) {
+      const value = readVarint()
+      if (field === FANOUT_FIELD) return value
+    } else if (wireType === 1) {
+      offset += 8
+    } else if (wireType === 2) {
+      offset += readVarint()
+    } else if (wireType === 5) {
+      offset += 4
+    } else {
+      throw new Error(`Invalid UnixFS Data, unknown wire type ${wireType}`)
+    }
+  }
+
+  return DEFAULT_FANOUT
+}